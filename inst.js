@@ -13,10 +13,18 @@
 // --- Core Node.js and Third-Party Modules ---
 import chalk from "chalk";
 import chalkAnimation from "chalk-animation";
-import { execSync } from "child_process";
+import { execSync, spawn } from "child_process";
 import * as chrono from "chrono-node";
 import fs from "fs";
-import { readFile, writeFile } from "fs/promises";
+import {
+  appendFile,
+  open,
+  readFile,
+  rename,
+  rm,
+  stat,
+  writeFile,
+} from "fs/promises";
 import os from "os";
 import path from "path";
 import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
@@ -28,31 +36,63 @@ import { hideBin } from "yargs/helpers";
 const CONFIG = {
   DATA_DIR: path.join(os.homedir(), ".inst"),
   DATA_PATH: path.join(os.homedir(), ".inst", "inst.json"),
-  UNDO_STACK_FILE: path.join(os.homedir(), ".inst", "undoInst.json"),
-  REDO_STACK_FILE: path.join(os.homedir(), ".inst", "redoInst.json"),
-  MAX_UNDO_REDO_STATES: 10,
+  SETTINGS_PATH: path.join(os.homedir(), ".inst", "config.json"),
+  JOURNAL_FILE: path.join(os.homedir(), ".inst", "journal.jsonl"),
+  DEFAULT_UNDO_DEPTH: 50,
+  // Past this size (plus one copy of the list) the oldest journal entries are
+  // folded into a snapshot, keeping about half of it as history
+  JOURNAL_MAX_BYTES: 8 * 1024 * 1024,
+  LOCK_TIMEOUT_MS: 10_000,
+  LOCK_STALE_MS: 10 * 60_000,
+  NOTES_PREVIEW_COUNT: 2,
   PRIORITY_ORDER: { high: 1, medium: 2, low: 3, normal: 4 },
+  STATUS_ORDER: { pending: 1, processing: 2, paused: 3, completed: 4 },
   STATUS_SYMBOLS: {
     completed: chalk.green("✔"),
     processing: chalk.blue("⚙"),
     paused: chalk.yellow("⏸"),
     pending: chalk.white("…"),
   },
+  PRIORITY_COLORS: {
+    high: chalk.red.bold,
+    medium: chalk.yellow.bold,
+    low: chalk.green.bold,
+    normal: chalk.white,
+  },
+  STATUS_COLORS: {
+    completed: chalk.green,
+    processing: chalk.blue,
+    paused: chalk.yellow,
+    pending: chalk.white,
+  },
+  VIEWS: ["cards", "table", "compact", "detail"],
+  IMPORT_FORMATS: ["csv", "json", "ics", "todotxt"],
+  EXPORT_SCHEMA_VERSION: 1,
 };
 
 const commandExamples = {
   add: 'inst add --source "Personal" --instruction "Buy milk" --priority "high"',
-  show: 'inst show --status "completed"',
+  show: `inst show --where 'status!=completed and (priority>=medium or source:Work)'`,
+  search: 'inst search "deploy \\"release notes\\" -staging" --status pending',
   list: "inst list --month August --year 2025",
   edit: 'inst edit --id 12 --priority "low"',
-  mark: 'inst mark --id 12 --status "completed"',
+  mark: 'inst mark --id 3,5,8-12 --status "completed"',
+  note: 'inst note --id 12 "Waiting on vendor reply"',
   delete: "inst delete --id 15",
   recover: "inst recover --id 15",
+  trash: "inst trash empty --older-than 30d",
+  purge: "inst purge --id 15",
   reset: "inst reset",
-  undo: "inst undo",
+  undo: "inst undo --steps 3",
   redo: "inst redo",
+  history: "inst history --id 42 --from 'last monday'",
+  doctor: "inst doctor --fix",
   export: `inst export --format pdf --all`,
-  total: "inst total --month Aug --all",
+  import: "inst import ~/Downloads/inst_all.csv --dry-run",
+  total: "inst total --on completed --this-week",
+  config: "inst config set view table",
+  profile: "inst profile create work && inst profile use work",
+  init: "cd ~/code/my-repo && inst init",
   manual: "inst manual --open",
 };
 
@@ -70,7 +110,9 @@ const optionAliases = {
 const optionChoices = {
   priority: ["high", "medium", "low", "normal"],
   status: Object.keys(CONFIG.STATUS_SYMBOLS),
-  format: ["pdf", "csv"],
+  format: ["pdf", "csv", "json", "md", "ics", "todotxt", "html"],
+  mode: ["merge", "append", "replace"],
+  on: ["added", "deadline", "completed", "deleted"],
 };
 
 // A list of all valid options for typo suggestions
@@ -79,6 +121,25 @@ const allValidOptions = [
   "instruction",
   "priority",
   "deadline",
+  "repeat",
+  "recurring",
+  "parent",
+  "tag",
+  "add-tag",
+  "remove-tag",
+  "tag-mode",
+  "regex",
+  "where",
+  "match",
+  "sort",
+  "reverse",
+  "limit",
+  "offset",
+  "pager",
+  "view",
+  "json",
+  "data-dir",
+  "global",
   "id",
   "status",
   "all",
@@ -89,6 +150,20 @@ const allValidOptions = [
   "year",
   "open",
   "format",
+  "mode",
+  "dry-run",
+  "older-than",
+  "today",
+  "this-week",
+  "overdue",
+  "due-within",
+  "on",
+  "fix",
+  "steps",
+  "from",
+  "to",
+  "command",
+  "export",
   "help",
   "version",
 ];
@@ -103,56 +178,132 @@ const commandDetails = {
       "--instruction, -i": "The instruction text (required).",
       "--priority, -p": `Set a priority. Choices: ${chalk.yellow(optionChoices.priority.join(", "))}. ${chalk.gray('(default: "normal")')}`,
       "--deadline, -dl": "Set a deadline (e.g., 'tomorrow at 5pm').",
+      "--repeat": "Repeat rule (e.g., 'every monday', 'monthly on the 1st').",
+      "--parent": "Make this a subtask of the instruction with this ID.",
+      "--tag":
+        "Add a tag (repeatable or comma-separated, e.g., --tag work --tag urgent).",
     },
   },
   show: {
     description: "Show instructions with powerful filters.",
     usage: "inst show [options]",
     options: {
+      "--id": "Show the full details and note history of one instruction.",
       "--status, -s": `Filter by status. Choices: ${chalk.yellow(optionChoices.status.join(", "))}.`,
       "--priority, -p": `Filter by priority. Choices: ${chalk.yellow(optionChoices.priority.join(", "))}.`,
       "--source": "Filter by source.",
       "--deadline": "Show only instructions with a deadline.",
+      "--recurring":
+        "Show only recurring (or --no-recurring for one-off) items.",
+      "--tag": "Filter by tag (repeatable).",
+      "--tag-mode": `Match ${chalk.yellow("any")} or ${chalk.yellow("all")} of the given tags. ${chalk.gray('(default: "any")')}`,
+      "--where": `Filter with an expression, e.g. ${chalk.yellow(`'status!=completed and (priority>=medium or source:Work) and due<"next friday"'`)}. Fields: id, status, priority, source, text, notes, tag, due, added, repeat, recurring, parent, deleted.`,
+      "--sort": `Sort by one or more keys (e.g., --sort deadline,priority). Keys: ${chalk.yellow("priority, deadline, added, id, source, status")}. ${chalk.gray('(default: "priority")')}`,
+      "--reverse": "Reverse the sort order.",
+      "--limit": "Show at most this many instructions.",
+      "--offset": "Skip this many instructions (use with --limit to page).",
+      "--no-pager": "Print directly instead of piping long output to $PAGER.",
+      "--view": `Layout. Choices: ${chalk.yellow(CONFIG.VIEWS.join(", "))}. ${chalk.gray("(default: 'view' setting, else \"cards\")")}`,
       "--date": `Filter by date (e.g., ${new Date().getFullYear()}-08-09).`,
       "--day": "Filter by day name.",
       "--month": "Filter by month (name or number 1-12).",
       "--week": "Filter by week of the month (1-5).",
       "--year": "Filter by year (e.g., 2025).",
+      "--from, --to": `Only dates in this range, parsed naturally, e.g. ${chalk.yellow("--from 'last monday' --to today")}.`,
+      "--today": "Only dates falling today.",
+      "--this-week": "Only dates in the current week (Monday to Sunday).",
+      "--on": `Which date the date filters check (${chalk.yellow("deleted")} implies --all). Choices: ${chalk.yellow(optionChoices.on.join(", "))}. ${chalk.gray("(default: added or deadline)")}`,
+      "--overdue": "Only unfinished instructions past their deadline.",
+      "--due-within": `Only unfinished instructions due within a duration, e.g. ${chalk.yellow("3d")}, ${chalk.yellow("2w")} or ${chalk.yellow("36h")}.`,
       "--all": "Include deleted instructions.",
     },
   },
+  search: {
+    description:
+      "Search instruction text, sources, tags and notes, ranked by relevance.",
+    usage: 'inst search "<query>" [options]',
+    options: {
+      '"a phrase"': "Match an exact phrase.",
+      "-word": "Exclude instructions containing this word (quote the query).",
+      "--regex": "Treat the query as a regular expression.",
+      "...filters": "Accepts the same filters as the 'show' command.",
+    },
+  },
   edit: {
     description: "Edit an existing instruction.",
-    usage: "inst edit --id <ID> [options]",
+    usage: "inst edit (--id <IDs> | --match <expression>) [options]",
     options: {
-      "--id, -i": "ID of the instruction to edit (required).",
+      "--id, -i":
+        "ID(s) to edit: a single ID, a list or ranges, e.g. 3,5,8-12.",
+      "--match": `Edit everything matching a --where expression. ${chalk.gray("Asks once before changing several.")}`,
       "--source, -s": "New source text.",
       "--instruction": "New instruction text.",
       "--priority, -p": `New priority. Choices: ${chalk.yellow(optionChoices.priority.join(", "))}.`,
       "--status, -st": `New status. Choices: ${chalk.yellow(optionChoices.status.join(", "))}.`,
       "--deadline, -dl": "New deadline.",
+      "--repeat": "New repeat rule, or 'none' to stop repeating.",
+      "--parent": "Move under a new parent ID, or 'none' to make it top-level.",
+      "--tag": "Replace all tags ('none' to clear).",
+      "--add-tag": "Add one or more tags.",
+      "--remove-tag": "Remove one or more tags.",
     },
   },
   mark: {
-    description: "Mark an instruction with a new status.",
-    usage: "inst mark --id <ID> --status <status>",
+    description: `Mark an instruction with a new status. ${chalk.yellow("Completing a recurring instruction creates its next occurrence.")} Offers to apply the status to subtasks too.`,
+    usage: "inst mark (--id <IDs> | --match <expression>) --status <status>",
     options: {
-      "--id, -i": "ID of the instruction to mark (required).",
+      "--id, -i":
+        "ID(s) to mark: a single ID, a list or ranges, e.g. 3,5,8-12.",
+      "--match": "Mark everything matching a --where expression.",
       "--status, -s": `The new status (required). Choices: ${chalk.yellow(optionChoices.status.join(", "))}.`,
     },
   },
+  note: {
+    description: "Append a timestamped note to an instruction.",
+    usage: 'inst note --id <ID> "message"',
+    options: {
+      "--id, -i": "ID of the instruction to annotate (required).",
+    },
+  },
   delete: {
-    description: "Mark an instruction as deleted.",
-    usage: "inst delete --id <ID>",
+    description:
+      "Mark an instruction as deleted. Offers to delete its subtasks too.",
+    usage: "inst delete (--id <IDs> | --match <expression>)",
     options: {
-      "--id, -i": "ID of the instruction to delete (required).",
+      "--id, -i":
+        "ID(s) to delete: a single ID, a list or ranges, e.g. 3,5,8-12.",
+      "--match": "Delete everything matching a --where expression.",
     },
   },
   recover: {
-    description: "Recover a deleted instruction.",
-    usage: "inst recover --id <ID>",
+    description:
+      "Recover a deleted instruction. Offers to recover its subtasks too.",
+    usage: "inst recover (--id <IDs> | --match <expression>)",
+    options: {
+      "--id, -i":
+        "ID(s) to recover: a single ID, a list or ranges, e.g. 3,5,8-12.",
+      "--match":
+        "Recover every deleted instruction matching a --where expression.",
+    },
+  },
+  trash: {
+    description:
+      "List deleted instructions, or remove them for good with 'empty'.",
+    usage: "inst trash [list | empty] [--older-than <duration>]",
     options: {
-      "--id, -i": "ID of the instruction to recover (required).",
+      list: "Show what is in the trash and when it will be purged.",
+      empty: "Permanently remove everything in the trash (undoable).",
+      "--older-than": 'Only items deleted longer ago than this, e.g. "30d".',
+      retention: `Set ${chalk.yellow("inst config set trash-retention 30d")} to purge old items automatically.`,
+    },
+  },
+  purge: {
+    description: "Permanently remove specific deleted instructions.",
+    usage: "inst purge (--id <IDs> | --match <expression>)",
+    options: {
+      "--id, -i": "ID(s) in the trash to remove, e.g. 3,5,8-12.",
+      "--match":
+        "Remove every deleted instruction matching a --where expression.",
     },
   },
   reset: {
@@ -160,18 +311,50 @@ const commandDetails = {
     usage: "inst reset",
   },
   undo: {
-    description: "Revert the last change.",
-    usage: "inst undo",
+    description:
+      "Revert recent changes, after previewing the fields that will change back.",
+    usage: "inst undo [--steps <N> | --to <entry>]",
+    options: {
+      "--steps": `How many changes to undo. ${chalk.gray("(default: 1)")}`,
+      "--to": "Undo every change back to and including this journal entry.",
+    },
   },
   redo: {
-    description: "Re-apply the last undone change.",
-    usage: "inst redo",
+    description: "Re-apply changes you undid.",
+    usage: "inst redo [--steps <N> | --to <entry>]",
+    options: {
+      "--steps": `How many changes to redo. ${chalk.gray("(default: 1)")}`,
+      "--to": "Redo up to and including this journal entry.",
+    },
+  },
+  history: {
+    description:
+      "List every change with its time, command and old → new field values.",
+    usage: "inst history [--id <ID>] [--from <date>] [--to <date>] [options]",
+    options: {
+      "--id, -i": "Only changes to this instruction.",
+      "--from, --to":
+        'Only changes in this date range (e.g. "2025-08-01", "last monday").',
+      "--command": "Only changes made by this command (e.g. mark, edit).",
+      "--limit": "Show only the most recent N entries.",
+      "--export": `Save the filtered history to Downloads. Choices: ${chalk.yellow("csv, json")}.`,
+      "--open": "Open the exported file automatically.",
+    },
+  },
+  doctor: {
+    description:
+      "Check the data file for damaged records and offer to repair them.",
+    usage: "inst doctor [--fix]",
+    options: {
+      "--fix": "Apply every repair without asking.",
+    },
   },
   total: {
     description: "Count instructions based on filters.",
     usage: "inst total [options]",
     options: {
-      "...filters": "Accepts the same filters as the 'show' command.",
+      "...filters":
+        "Accepts the same filters as the 'show' command, without the -s/-p shorthands.",
     },
   },
   export: {
@@ -180,7 +363,42 @@ const commandDetails = {
     options: {
       "--format": `The export format (required). Choices: ${chalk.yellow(optionChoices.format.join(", "))}.`,
       "--open": "Open the exported file automatically.",
-      "...filters": "Accepts the same filters as the 'show' command.",
+      "...filters":
+        "Accepts the same filters as the 'show' command, without the -s/-p shorthands.",
+      "...sorting":
+        "Accepts --sort, --reverse, --limit and --offset like 'show'.",
+    },
+  },
+  import: {
+    description: "Import instructions from a file as one undoable step.",
+    usage: "inst import <file> [options]",
+    options: {
+      "--format": `The file format. Inferred from the extension if omitted. Choices: ${chalk.yellow(CONFIG.IMPORT_FORMATS.join(", "))}.`,
+      "--mode": `'merge' updates entries whose ID already exists, 'append' adds every entry as new, 'replace' swaps in the file's data. ${chalk.gray('(default: "merge")')}`,
+      "--dry-run": "Show what would change without saving anything.",
+    },
+  },
+  config: {
+    description: "View or change your saved preferences.",
+    usage: "inst config [list | get <key> | set <key> <value> | unset <key>]",
+    options: {
+      view: `Default layout for 'inst show'. Choices: ${chalk.yellow(CONFIG.VIEWS.join(", "))}.`,
+    },
+  },
+  init: {
+    description:
+      "Create a project store (.inst/) here. Commands run in this directory or below use it.",
+    usage: "inst init",
+  },
+  profile: {
+    description:
+      "Keep separate instruction lists, each with its own undo/redo history.",
+    usage: "inst profile [list | create <name> | use <name> | delete <name>]",
+    options: {
+      list: "Show all profiles and mark the active one.",
+      create: "Create an empty profile.",
+      use: "Switch to a profile ('default' is the original list).",
+      delete: "Permanently remove a profile and its history.",
     },
   },
   manual: {
@@ -193,48 +411,92 @@ const commandDetails = {
 };
 
 function displayCustomHelp(command) {
-  console.log(chalk.bold.cyan("\n📖 Inst CLI"));
-  console.log(
-    chalk.white("A powerful tool to manage all of life's instructions.")
-  );
+  print(chalk.bold.cyan("\n📖 Inst CLI"));
+  print(chalk.white("A powerful tool to manage all of life's instructions."));
 
   if (command && commandDetails[command]) {
     const details = commandDetails[command];
-    console.log(chalk.yellow(`\nHelp for command: ${chalk.bold(command)}`));
-    console.log(chalk.white(`\n  ${details.description}`));
-    console.log(
+    print(chalk.yellow(`\nHelp for command: ${chalk.bold(command)}`));
+    print(chalk.white(`\n  ${details.description}`));
+    print(
       chalk.white(`\n${chalk.bold("Usage:")} ${chalk.green(details.usage)}`)
     );
 
     if (details.options) {
-      console.log(chalk.bold("\nOptions:"));
+      print(chalk.bold("\nOptions:"));
       Object.entries(details.options).forEach(([option, desc]) => {
-        console.log(`  ${chalk.cyan(option.padEnd(20))} ${chalk.white(desc)}`);
+        print(`  ${chalk.cyan(option.padEnd(20))} ${chalk.white(desc)}`);
       });
     }
   } else {
-    console.log(
+    print(
       chalk.white(
         `\n${chalk.bold("Usage:")} ${chalk.green("inst <command> [options]")}`
       )
     );
-    console.log(chalk.bold("\nAvailable Commands:"));
+    print(chalk.bold("\nAvailable Commands:"));
     Object.entries(commandDetails).forEach(([cmd, details]) => {
       const alias = Object.entries(yargs().getOptions().alias).find(
         ([_key, val]) => val.includes(cmd)
       )?.[0];
       const commandString = alias ? `${cmd}, ${alias}` : cmd;
-      console.log(
+      print(
         `  ${chalk.green(commandString.padEnd(15))} ${chalk.white(details.description)}`
       );
     });
-    console.log(
+    print(chalk.bold("\nGlobal Options:"));
+    print(
+      `  ${chalk.cyan("--json".padEnd(15))} ${chalk.white("Print one JSON document (records, counts, paths or an error) instead of text.")}`
+    );
+    print(
+      `  ${chalk.cyan("--data-dir".padEnd(15))} ${chalk.white("Use another data directory.")}`
+    );
+    print(
+      `  ${chalk.cyan("--global".padEnd(15))} ${chalk.white("Ignore project stores and use the global one (~/.inst or $INST_HOME).")}`
+    );
+    print(
       chalk.yellow(
         "\nRun 'inst help <command>' for more details on a specific command."
       )
     );
   }
-  console.log("");
+  print("");
+}
+
+// --- Machine-Readable Output (--json) ---
+let jsonMode = false;
+
+function enableJsonMode() {
+  jsonMode = true;
+  chalk.level = 0;
+}
+
+// Human-readable output goes through these so that, under --json, stdout
+// carries exactly one JSON document. Crashes still use console.error.
+const print = (...args) => {
+  if (!jsonMode) console.log(...args);
+};
+const printError = (...args) => {
+  if (!jsonMode) console.error(...args);
+};
+
+function emitJson(document) {
+  if (!jsonMode) return;
+  process.stdout.write(
+    JSON.stringify({ ok: true, ...document }, null, 2) + "\n"
+  );
+}
+
+function emitJsonError(command, code, message) {
+  if (!jsonMode) return;
+  process.exitCode = 1;
+  process.stdout.write(
+    JSON.stringify(
+      { ok: false, command, error: { code, message: stripAnsi(message) } },
+      null,
+      2
+    ) + "\n"
+  );
 }
 
 // --- Global Loading Indicator ---
@@ -242,6 +504,7 @@ let loadingInterval;
 let startTime;
 
 function startLoadingMessage(prefix = "Processing") {
+  if (jsonMode) return;
   startTime = process.hrtime.bigint();
   let dots = 0;
   readline.cursorTo(process.stdout, 0);
@@ -263,28 +526,249 @@ function stopLoadingMessage() {
     readline.cursorTo(process.stdout, 0);
     readline.clearLine(process.stdout, 1);
     if (durationMs > 100) {
-      console.log(
-        chalk.gray(`Operation completed in ${durationMs.toFixed(2)} ms.`)
-      );
+      print(chalk.gray(`Operation completed in ${durationMs.toFixed(2)} ms.`));
     }
     loadingInterval = null;
   }
 }
 
+// --- Atomic Writes and Locking ---
+// Readers never see a half-written file: write a temp file, then rename it
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    await writeFile(tempPath, data, "utf-8");
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+let heldLockPath = null;
+
+// One lock per store and profile, next to the data file it protects
+const getLockPath = () =>
+  path.join(path.dirname(CONFIG.DATA_PATH), "inst.lock");
+// config.json is shared by every profile, so it has a store-wide lock
+const getSettingsLockPath = () => path.join(CONFIG.DATA_DIR, "config.lock");
+
+const readLockOwner = (lockPath) => {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * A lock is stale when its owner on this machine has exited, when it was left
+ * half-written by a crash, or (for other machines) when it is very old.
+ */
+function isLockStale(lockPath) {
+  let stats;
+  try {
+    stats = fs.statSync(lockPath);
+  } catch {
+    return false;
+  }
+  const age = Date.now() - stats.mtimeMs;
+  const owner = readLockOwner(lockPath);
+  if (!owner) return age > 2000;
+  if (owner.hostname === os.hostname()) return !isProcessAlive(owner.pid);
+  return age > CONFIG.LOCK_STALE_MS;
+}
+
+function releaseDataLock() {
+  if (!heldLockPath) return;
+  fs.rmSync(heldLockPath, { force: true });
+  heldLockPath = null;
+  process.off("SIGINT", exitOnSignal);
+  process.off("SIGTERM", exitOnSignal);
+}
+
+function exitOnSignal() {
+  releaseDataLock();
+  process.exit(130);
+}
+
+async function acquireDataLock(command, lockPath = getLockPath()) {
+  // Files are created on the first write, in whichever store is active
+  ensureDataFilesExist();
+  const giveUpAt = Date.now() + CONFIG.LOCK_TIMEOUT_MS;
+  let announced = false;
+  for (;;) {
+    try {
+      fs.writeFileSync(
+        lockPath,
+        JSON.stringify({
+          pid: process.pid,
+          hostname: os.hostname(),
+          command,
+          startedAt: new Date().toISOString(),
+        }),
+        { flag: "wx" }
+      );
+      heldLockPath = lockPath;
+      process.on("SIGINT", exitOnSignal);
+      process.on("SIGTERM", exitOnSignal);
+      return;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    if (isLockStale(lockPath)) {
+      // Move it aside first so two waiters cannot both delete a fresh lock
+      const stalePath = `${lockPath}.stale-${process.pid}`;
+      try {
+        fs.renameSync(lockPath, stalePath);
+        fs.rmSync(stalePath, { force: true });
+      } catch {
+        // Another process cleaned it up first
+      }
+      continue;
+    }
+    if (Date.now() > giveUpAt) {
+      const owner = readLockOwner(lockPath);
+      throw new Error(
+        `Another inst command${owner ? ` ('${owner.command}', pid ${owner.pid})` : ""} is still using this list. Try again in a moment, or delete ${lockPath} if no other inst is running.`
+      );
+    }
+    if (!announced) {
+      stopLoadingMessage();
+      printError(
+        chalk.gray("⏳ Waiting for another inst command to finish...")
+      );
+      announced = true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+// Wraps a command handler so its whole read-modify-write runs under the lock
+const withDataLock =
+  (handler, lockPath = getLockPath) =>
+  async (argv) => {
+    const command = String(argv._[0]);
+    try {
+      await acquireDataLock(command, lockPath());
+    } catch (error) {
+      print(chalk.red.bold(`❌ ${error.message}`));
+      emitJsonError(command, "LOCKED", error.message);
+      process.exitCode = 1;
+      return;
+    }
+    try {
+      return await handler(argv);
+    } catch (error) {
+      if (
+        ![
+          "CORRUPT_DATA",
+          "UNSUPPORTED_VERSION",
+          "DATA_CHANGED",
+          "LOCKED",
+        ].includes(error.code)
+      ) {
+        throw error;
+      }
+      stopLoadingMessage();
+      print(chalk.red.bold(`❌ ${error.message}`));
+      print(chalk.yellow(`💡 ${error.hint}`));
+      emitJsonError(command, error.code, error.message);
+      process.exitCode = 1;
+    } finally {
+      releaseDataLock();
+    }
+  };
+
+process.on("exit", releaseDataLock);
+
+// --- Data Schema and Migrations ---
+// The data file is an envelope: { version, instructions }. Files written
+// before versioning are a bare array and count as version 0. To change the
+// record shape, append a migration here; each one runs once, in order, on
+// files older than its version.
+const DATA_MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      "Wrap the list in a versioned envelope and fill in fields older records lack.",
+    migrate: (instructions) =>
+      instructions.map((inst) => {
+        if (!inst || typeof inst !== "object" || Array.isArray(inst)) {
+          return inst; // left for 'inst doctor' to report
+        }
+        const defaults = {
+          deadline: null,
+          repeat: null,
+          parentId: null,
+          tags: [],
+          isDeleted: false,
+          deletedAt: null,
+        };
+        for (const key of Object.keys(inst)) delete defaults[key];
+        return { ...inst, ...defaults };
+      }),
+  },
+];
+
+const DATA_SCHEMA_VERSION = DATA_MIGRATIONS.at(-1).version;
+
+function parseDataFile(raw) {
+  const data = JSON.parse(raw);
+  if (Array.isArray(data)) return { version: 0, instructions: data };
+  if (
+    Number.isInteger(data?.version) &&
+    data.version >= 0 &&
+    Array.isArray(data.instructions)
+  ) {
+    return { version: data.version, instructions: data.instructions };
+  }
+  throw new Error("expected a list of instructions");
+}
+
+const migrateInstructions = (instructions, fromVersion) =>
+  DATA_MIGRATIONS.filter(({ version }) => version > fromVersion).reduce(
+    (list, { migrate }) => migrate(list),
+    instructions
+  );
+
+const serializeInstructions = (instructions) =>
+  JSON.stringify({ version: DATA_SCHEMA_VERSION, instructions }, null, 2);
+
+// Keeps the pre-upgrade file next to the data as inst.json.v<N>.bak
+async function upgradeDataFile(raw, fromVersion, instructions) {
+  const backupPath = `${CONFIG.DATA_PATH}.v${fromVersion}.bak`;
+  if (!fs.existsSync(backupPath)) await writeFile(backupPath, raw, "utf-8");
+  await saveInstructions(instructions);
+  stopLoadingMessage();
+  printError(
+    chalk.gray(
+      `ℹ️  Upgraded the data file to schema version ${DATA_SCHEMA_VERSION}. The original was kept at ${backupPath}.`
+    )
+  );
+}
+
 // --- Initial Setup & File System ---
 function ensureDataFilesExist() {
   try {
-    if (!fs.existsSync(CONFIG.DATA_DIR))
-      fs.mkdirSync(CONFIG.DATA_DIR, { recursive: true });
-    for (const file of [
-      CONFIG.DATA_PATH,
-      CONFIG.UNDO_STACK_FILE,
-      CONFIG.REDO_STACK_FILE,
-    ]) {
-      if (!fs.existsSync(file)) fs.writeFileSync(file, "[]", "utf-8");
+    for (const dir of [CONFIG.DATA_DIR, path.dirname(CONFIG.DATA_PATH)]) {
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    }
+    if (!fs.existsSync(CONFIG.DATA_PATH)) {
+      fs.writeFileSync(CONFIG.DATA_PATH, serializeInstructions([]), "utf-8");
     }
   } catch (error) {
-    console.error(
+    printError(
       chalk.red.bold(
         "❌ Critical Error: Could not create necessary data files."
       ),
@@ -294,373 +778,4284 @@ function ensureDataFilesExist() {
   }
 }
 
+/**
+ * Copies a damaged data file to inst.json.corrupt-<timestamp> so it can be
+ * inspected or repaired by hand. Reuses an existing identical copy.
+ */
+async function keepCorruptCopy(raw) {
+  const dir = path.dirname(CONFIG.DATA_PATH);
+  const prefix = `${path.basename(CONFIG.DATA_PATH)}.corrupt-`;
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.startsWith(prefix)) continue;
+    const copyPath = path.join(dir, name);
+    if ((await readFile(copyPath, "utf-8")) === raw) return copyPath;
+  }
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const copyPath = path.join(dir, `${prefix}${stamp}`);
+  await writeFile(copyPath, raw, "utf-8");
+  return copyPath;
+}
+
+// Read-only commands carry on with what they can read; anything holding the
+// lock is about to write, and saving would overwrite the file for good.
 const loadInstructions = async () => {
+  let raw;
+  let data;
   try {
-    return JSON.parse(await readFile(CONFIG.DATA_PATH, "utf-8"));
+    raw = await readFile(CONFIG.DATA_PATH, "utf-8");
   } catch {
+    return [];
+  }
+  try {
+    data = parseDataFile(raw);
+  } catch (error) {
     stopLoadingMessage();
-    console.error(
-      chalk.red("⚠️  Warning: Could not parse data file. Returning empty list.")
+    if (!heldLockPath) {
+      printError(
+        chalk.red(
+          "⚠️  Warning: Could not parse data file. Showing an empty list; run 'inst doctor' to repair it."
+        )
+      );
+      return [];
+    }
+    const copyPath = await keepCorruptCopy(raw);
+    const corruptError = new Error(
+      `The data file ${CONFIG.DATA_PATH} could not be parsed (${error.message}). Nothing was changed. A copy was kept at ${copyPath}.`
     );
-    return [];
+    corruptError.code = "CORRUPT_DATA";
+    corruptError.hint = "Run 'inst doctor' to check and repair it.";
+    throw corruptError;
   }
-};
-const saveInstructions = async (d) =>
-  await writeFile(CONFIG.DATA_PATH, JSON.stringify(d, null, 2), "utf-8");
 
-// --- Undo/Redo Stack Management ---
-const readStack = async (stackFile) => {
-  try {
-    const data = await readFile(stackFile, "utf-8");
-    return JSON.parse(data || "[]");
-  } catch {
-    return [];
+  if (data.version > DATA_SCHEMA_VERSION) {
+    stopLoadingMessage();
+    const message = `The data file ${CONFIG.DATA_PATH} uses schema version ${data.version}, but this version of inst only understands up to ${DATA_SCHEMA_VERSION}.`;
+    if (!heldLockPath) {
+      printError(chalk.yellow(`⚠️  Warning: ${message}`));
+      return data.instructions;
+    }
+    const versionError = new Error(`${message} Nothing was changed.`);
+    versionError.code = "UNSUPPORTED_VERSION";
+    versionError.hint = "Update inst to work with this list.";
+    throw versionError;
+  }
+  if (data.version < DATA_SCHEMA_VERSION) {
+    const instructions = migrateInstructions(data.instructions, data.version);
+    if (heldLockPath) await upgradeDataFile(raw, data.version, instructions);
+    return instructions;
   }
+  return data.instructions;
 };
-
-const writeStack = async (stackFile, stack) => {
-  await writeFile(stackFile, JSON.stringify(stack, null, 2), "utf-8");
+const saveInstructions = async (d) => {
+  const serialized = serializeInstructions(d);
+  const journalLines = await prepareJournalEntry(d);
+  await writeFileAtomic(CONFIG.DATA_PATH, serialized);
+  // Journaled only once the data is on disk, so a failed write leaves
+  // nothing behind for undo to revert
+  if (journalLines)
+    await appendJournalEntry(journalLines, d, serialized.length);
 };
 
-const pushToUndoStack = async (commandName) => {
-  const [undoStack, currentData] = await Promise.all([
-    readStack(CONFIG.UNDO_STACK_FILE),
-    loadInstructions(),
-  ]);
-  undoStack.push({ command: commandName, data: currentData });
-  if (undoStack.length > CONFIG.MAX_UNDO_REDO_STATES) undoStack.shift();
-  await writeStack(CONFIG.UNDO_STACK_FILE, undoStack);
+// --- User Settings ---
+const SETTINGS_SCHEMA = {
+  view: {
+    describe: "Default layout for 'inst show'",
+    choices: CONFIG.VIEWS,
+    default: "cards",
+  },
+  "undo-depth": {
+    describe: "How many changes 'inst undo' can step back through",
+    parse: (value) => {
+      const depth = Number(value);
+      return Number.isInteger(depth) && depth >= 1 ? depth : null;
+    },
+    expected: "Use a whole number of 1 or more.",
+    default: CONFIG.DEFAULT_UNDO_DEPTH,
+  },
+  "trash-retention": {
+    describe: "Purge deleted items older than this (e.g. 30d), or 'off'",
+    parse: (value) =>
+      value === "off" || parseDuration(value) !== null ? value : null,
+    expected: 'Use a duration like "30d" or "2w", or "off".',
+    default: "off",
+  },
 };
 
-const popFromUndoStack = async () => {
-  const undoStack = await readStack(CONFIG.UNDO_STACK_FILE);
-  if (undoStack.length > 0) {
-    const prevState = undoStack.pop();
-    await pushToRedoStack(prevState.command);
-    await saveInstructions(prevState.data);
-    await writeStack(CONFIG.UNDO_STACK_FILE, undoStack);
-    return prevState.command;
+const loadSettings = async () => {
+  try {
+    const settings = JSON.parse(await readFile(CONFIG.SETTINGS_PATH, "utf-8"));
+    return settings && typeof settings === "object" && !Array.isArray(settings)
+      ? settings
+      : {};
+  } catch {
+    return {};
   }
-  return null;
 };
-
-const pushToRedoStack = async (commandName) => {
-  const [redoStack, currentData] = await Promise.all([
-    readStack(CONFIG.REDO_STACK_FILE),
-    loadInstructions(),
-  ]);
-  redoStack.push({ command: commandName, data: currentData });
-  if (redoStack.length > CONFIG.MAX_UNDO_REDO_STATES) redoStack.shift();
-  await writeStack(CONFIG.REDO_STACK_FILE, redoStack);
+const saveSettings = async (settings) => {
+  fs.mkdirSync(CONFIG.DATA_DIR, { recursive: true });
+  await writeFileAtomic(
+    CONFIG.SETTINGS_PATH,
+    JSON.stringify(settings, null, 2)
+  );
+};
+// Returns the normalized value, or null when it is not allowed for the setting
+const parseSettingValue = (schema, value) => {
+  const lowered = String(value ?? "").toLowerCase();
+  if (schema.parse) return schema.parse(lowered);
+  return schema.choices.includes(lowered) ? lowered : null;
 };
 
-const popFromRedoStack = async () => {
-  const redoStack = await readStack(CONFIG.REDO_STACK_FILE);
-  if (redoStack.length > 0) {
-    const nextState = redoStack.pop();
-    await pushToUndoStack(nextState.command);
-    await saveInstructions(nextState.data);
-    await writeStack(CONFIG.REDO_STACK_FILE, redoStack);
-    return nextState.command;
+// config.json may have been edited by hand, so bad values fall back to the
+// default with a warning (once per setting) instead of breaking commands.
+const warnedSettings = new Set();
+const getSetting = (settings, key) => {
+  const schema = SETTINGS_SCHEMA[key];
+  if (settings[key] === undefined) return schema.default;
+  const value = parseSettingValue(schema, settings[key]);
+  if (value !== null) return value;
+  if (!warnedSettings.has(key)) {
+    warnedSettings.add(key);
+    stopLoadingMessage();
+    printError(
+      chalk.yellow(
+        `⚠️  Warning: Ignoring invalid '${key}' setting (${JSON.stringify(settings[key])}); using '${schema.default}'. Fix it with 'inst config set ${key} <value>'.`
+      )
+    );
   }
-  return null;
+  return schema.default;
 };
 
-const clearRedoStack = () => writeStack(CONFIG.REDO_STACK_FILE, []);
+// --- Data Location and Profiles ---
+// The default profile keeps its files directly in the data directory; named
+// profiles live in <data dir>/profiles/<name>/. Settings are shared.
+const DEFAULT_PROFILE = "default";
+const PROJECT_STORE_NAME = ".inst";
+let activeProfile = DEFAULT_PROFILE;
+let dataStoreScope = "global";
+let globalDataDir = CONFIG.DATA_DIR;
 
-// --- Helper & Utility Functions ---
-function findSuggestion(unknown, list) {
-  return list.reduce(
-    (best, item) => {
-      const distance = (s1, s2) => {
-        s1 = s1.toLowerCase();
-        s2 = s2.toLowerCase();
-        const costs = [];
-        for (let i = 0; i <= s1.length; i++) {
-          let lastValue = i;
-          for (let j = 0; j <= s2.length; j++) {
-            if (i === 0) costs[j] = j;
-            else if (j > 0) {
-              let newValue = costs[j - 1];
-              if (s1.charAt(i - 1) !== s2.charAt(j - 1))
-                newValue = Math.min(newValue, lastValue, costs[j]) + 1;
-              costs[j - 1] = lastValue;
-              lastValue = newValue;
-            }
-          }
-          if (i > 0) costs[s2.length] = lastValue;
-        }
-        return costs[s2.length];
-      };
-      const dist = distance(unknown, item);
-      if (dist < best.minDistance && dist <= 2)
-        return { minDistance: dist, match: item };
-      return best;
-    },
-    { minDistance: Infinity, match: null }
-  ).match;
+const isValidProfileName = (name) => /^[a-z0-9][a-z0-9_-]{0,39}$/i.test(name);
+
+// Reads `--name value` or `--name=value` before yargs has parsed anything
+function readRawOption(rawArgs, name) {
+  const index = rawArgs.findIndex(
+    (arg) => arg === `--${name}` || arg.startsWith(`--${name}=`)
+  );
+  if (index === -1) return undefined;
+  return rawArgs[index].includes("=")
+    ? rawArgs[index].slice(name.length + 3)
+    : rawArgs[index + 1];
 }
 
-function promptConfirmation(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-  return new Promise((resolve) => {
-    rl.question(question + chalk.white(" (y/N): "), (answer) => {
-      rl.close();
-      resolve(answer.trim().toLowerCase() === "y");
-    });
-  });
+// The command is the first argument that is neither an option nor the value
+// of --data-dir, so `inst --json show` still names "show"
+const readRawCommand = (rawArgs) =>
+  rawArgs.find(
+    (arg, index) => !arg.startsWith("-") && rawArgs[index - 1] !== "--data-dir"
+  );
+
+const expandHome = (dir) => dir.replace(/^~(?=$|[\\/])/, os.homedir());
+
+const getProfileDir = (profile) =>
+  profile === DEFAULT_PROFILE
+    ? CONFIG.DATA_DIR
+    : path.join(CONFIG.DATA_DIR, "profiles", profile);
+
+function useDataLocation(dataDir, profile) {
+  CONFIG.DATA_DIR = dataDir;
+  CONFIG.SETTINGS_PATH = path.join(dataDir, "config.json");
+  activeProfile = profile;
+  const profileDir = getProfileDir(profile);
+  CONFIG.DATA_PATH = path.join(profileDir, "inst.json");
+  CONFIG.JOURNAL_FILE = path.join(profileDir, "journal.jsonl");
 }
 
-function getDownloadsFolder() {
-  const platform = process.platform;
-  if (platform === "win32") {
-    try {
-      const command = `(New-Object -ComObject Shell.Application).NameSpace('shell:Downloads').Self.Path`;
-      let rawPath = execSync(`powershell -command "${command}"`, {
-        encoding: "utf-8",
-      }).trim();
-      rawPath = rawPath.replace(/^%USERPROFILE%/i, os.homedir());
-      return path.normalize(rawPath);
-    } catch {
-      return path.join(os.homedir(), "Downloads");
-    }
-  }
-  return path.join(os.homedir(), "Downloads");
+function listProfiles() {
+  const profilesDir = path.join(CONFIG.DATA_DIR, "profiles");
+  const named = fs.existsSync(profilesDir)
+    ? fs
+        .readdirSync(profilesDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort()
+    : [];
+  return [DEFAULT_PROFILE, ...named];
 }
 
-function openFile(filePath) {
-  const command =
-    process.platform === "win32"
-      ? `start ""`
-      : process.platform === "darwin"
-        ? `open`
-        : `xdg-open`;
-  console.log(chalk.blue(`\n📂 Opening the file automatically...`));
-  try {
-    execSync(`${command} "${filePath}"`, { stdio: "ignore" });
-  } catch (err) {
-    console.error(
-      chalk.red(`Failed to open file. Please open it manually:\n${filePath}`),
-      err
-    );
+// Walks up from `startDir` looking for a .inst/ directory, like git does for
+// .git. ~/.inst is the default global store, never a project, even when
+// $INST_HOME points the global store somewhere else.
+function findProjectStore(startDir) {
+  const globalDirs = [globalDataDir, path.join(os.homedir(), ".inst")];
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const candidate = path.join(dir, PROJECT_STORE_NAME);
+    if (
+      !globalDirs.includes(candidate) &&
+      fs.existsSync(candidate) &&
+      fs.statSync(candidate).isDirectory()
+    ) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
   }
 }
 
-function showNoResultsFeedback() {
-  console.log(chalk.yellow("\n📭 No instructions match your filters."));
-  console.log(
-    chalk.blue(
-      "💡 Tip: Try broadening your search or use 'inst show --all' to include deleted items."
-    )
+/**
+ * Points CONFIG at the active store and profile. The store is --data-dir if
+ * given, else the nearest project .inst/ (unless --global), else the global
+ * store ($INST_HOME or ~/.inst).
+ */
+async function applyDataLocation(rawArgs) {
+  globalDataDir = path.resolve(
+    expandHome(process.env.INST_HOME || path.join(os.homedir(), ".inst"))
   );
+  const customDir = readRawOption(rawArgs, "data-dir");
+  const projectDir =
+    customDir || rawArgs.includes("--global")
+      ? null
+      : findProjectStore(process.cwd());
+  dataStoreScope = customDir ? "custom" : projectDir ? "project" : "global";
+  const dataDir = customDir
+    ? path.resolve(expandHome(customDir))
+    : projectDir || globalDataDir;
+  useDataLocation(dataDir, DEFAULT_PROFILE);
+  const { profile } = await loadSettings();
+  if (!profile || profile === DEFAULT_PROFILE) return;
+  if (listProfiles().includes(profile)) {
+    useDataLocation(dataDir, profile);
+  } else {
+    printError(
+      chalk.yellow(
+        `⚠️  Active profile '${profile}' no longer exists. Using '${DEFAULT_PROFILE}'.`
+      )
+    );
+  }
 }
 
-// --- Date Helpers, Filter Logic, and Filename Generation ---
-const getMonthName = (monthNumber) =>
-  new Date(2000, monthNumber - 1, 1).toLocaleString("en-US", { month: "long" });
-const getDayName = (date) =>
-  date.toLocaleDateString("en-US", { weekday: "long" });
-const getWeekOfMonth = (date) => Math.ceil(date.getDate() / 7);
+// --- Change Journal (Undo/Redo) ---
+// Every change is appended to journal.jsonl as one line holding the before
+// and after of each record it touched. Undo and redo are entries too, so the
+// journal doubles as an audit trail; which entries can still be undone or
+// redone is worked out by replaying it.
+let pendingJournalEntry = null;
 
-function filterInstructions(instructions, filters) {
-  let filteredData = [...instructions];
+// The whole list as it stood when the journal began, so a rebuild keeps
+// records that were never changed after that
+const journalSnapshot = (seq, at, instructions) => ({
+  seq,
+  at,
+  version: DATA_SCHEMA_VERSION,
+  command: "snapshot",
+  snapshot: instructions,
+  changes: [],
+});
 
-  if (filters.priority) {
-    filteredData = filteredData.filter(
-      (inst) => inst.priority === filters.priority
-    );
+async function readJournal() {
+  let raw;
+  try {
+    raw = await readFile(CONFIG.JOURNAL_FILE, "utf-8");
+  } catch {
+    return await convertLegacyUndoStack();
   }
-  if (filters.source) {
-    filteredData = filteredData.filter(
-      (inst) => inst.source.toLowerCase() === filters.source.toLowerCase()
-    );
+  // A line cut short by a crash is skipped rather than failing the command
+  return raw.split("\n").flatMap((line) => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Turns the whole-list snapshots of the old undoInst.json into journal
+ * entries. Redo history from before the journal is not carried over.
+ */
+async function convertLegacyUndoStack() {
+  const dir = path.dirname(CONFIG.JOURNAL_FILE);
+  const legacyFiles = [
+    path.join(dir, "undoInst.json"),
+    path.join(dir, "redoInst.json"),
+  ];
+  let stack;
+  try {
+    stack = JSON.parse(await readFile(legacyFiles[0], "utf-8"));
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(stack)) return [];
+  const current = await loadInstructions().catch(() => null);
+  const states = stack.map((entry) =>
+    migrateInstructions(entry.data ?? [], entry.version ?? 0)
+  );
+  if (current) states.push(current);
+  const entries = [journalSnapshot(1, null, states[0] ?? [])];
+  for (let i = 0; i + 1 < states.length; i++) {
+    const changes = diffInstructions(states[i], states[i + 1]);
+    if (changes.length === 0) continue;
+    entries.push({
+      seq: entries.length + 1,
+      at: null,
+      version: DATA_SCHEMA_VERSION,
+      command: stack[i].command,
+      changes,
+    });
+  }
+  if (heldLockPath && current) {
+    await writeFileAtomic(
+      CONFIG.JOURNAL_FILE,
+      entries.map((entry) => JSON.stringify(entry) + "\n").join("")
+    );
+    for (const file of legacyFiles) await rm(file, { force: true });
+  }
+  return entries;
+}
+
+// Records are matched by ID; `index` remembers where an added or removed
+// record sat so undo and redo can put it back in place.
+function diffInstructions(before, after) {
+  const indexById = (list) => {
+    const map = new Map();
+    list.forEach((inst, index) => {
+      if (inst?.id != null && !map.has(inst.id)) map.set(inst.id, index);
+    });
+    return map;
+  };
+  const beforeIndex = indexById(before);
+  const afterIndex = indexById(after);
+  const changes = [];
+  for (const [id, index] of afterIndex) {
+    if (!beforeIndex.has(id)) {
+      changes.push({ id, index, before: null, after: after[index] });
+      continue;
+    }
+    const previous = before[beforeIndex.get(id)];
+    if (JSON.stringify(previous) !== JSON.stringify(after[index])) {
+      changes.push({ id, before: previous, after: after[index] });
+    }
+  }
+  for (const [id, index] of beforeIndex) {
+    if (!afterIndex.has(id)) {
+      changes.push({ id, index, before: before[index], after: null });
+    }
+  }
+  return changes;
+}
+
+// Snapshots the list; the next saveInstructions records what changed
+const startJournalEntry = async (command, details = {}) => {
+  pendingJournalEntry = {
+    command,
+    ...details,
+    before: await loadInstructions(),
+  };
+};
+
+// Reads backwards from the end so saving stays cheap however long the
+// journal grows. Returns 0 when there are no entries yet.
+async function readLastJournalSeq() {
+  let handle;
+  try {
+    handle = await open(CONFIG.JOURNAL_FILE, "r");
+  } catch {
+    return 0;
+  }
+  try {
+    const { size } = await handle.stat();
+    for (let chunkSize = 64 * 1024; ; chunkSize *= 4) {
+      const start = Math.max(0, size - chunkSize);
+      const buffer = Buffer.alloc(size - start);
+      await handle.read(buffer, 0, buffer.length, start);
+      const lines = buffer.toString("utf-8").split("\n");
+      if (start > 0) lines.shift(); // Most likely the tail of a longer line
+      for (const line of lines.reverse()) {
+        try {
+          const { seq } = JSON.parse(line);
+          if (Number.isInteger(seq)) return seq;
+        } catch {
+          // Blank, or cut short by a crash
+        }
+      }
+      if (start === 0) return 0;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// Builds the journal lines for the pending entry, or null when nothing changed.
+// Runs before the data file is written: converting a legacy undo stack reads
+// the list as it stood before this change.
+async function prepareJournalEntry(instructions) {
+  if (!pendingJournalEntry) return null;
+  const { before, ...entry } = pendingJournalEntry;
+  pendingJournalEntry = null;
+  const changes = diffInstructions(before, instructions);
+  if (changes.length === 0 && !entry.undoes && !entry.redoes) return null;
+  if (!fs.existsSync(CONFIG.JOURNAL_FILE)) await convertLegacyUndoStack();
+  const at = new Date().toISOString();
+  const lines = [];
+  let lastSeq = await readLastJournalSeq();
+  if (lastSeq === 0) {
+    lines.push(journalSnapshot(1, at, before));
+    lastSeq = 1;
+  }
+  lines.push({
+    seq: lastSeq + 1,
+    at,
+    version: DATA_SCHEMA_VERSION,
+    ...entry,
+    changes,
+  });
+  return lines;
+}
+
+async function appendJournalEntry(lines, instructions, listSize) {
+  await appendFile(
+    CONFIG.JOURNAL_FILE,
+    lines.map((line) => JSON.stringify(line) + "\n").join(""),
+    "utf-8"
+  );
+  const { size } = await stat(CONFIG.JOURNAL_FILE);
+  if (size > CONFIG.JOURNAL_MAX_BYTES + listSize) {
+    await compactJournal(instructions);
+  }
+}
+
+/**
+ * Drops the oldest entries, keeping about half of JOURNAL_MAX_BYTES of recent
+ * history and everything undo or redo can still reach. A snapshot of the list
+ * as it stood before the first kept entry takes their place.
+ */
+async function compactJournal(instructions) {
+  const journal = await readJournal();
+  const depth = getSetting(await loadSettings(), "undo-depth");
+  const { undoable, redoable } = replayJournal(journal, depth);
+  const oldestReachable = Math.min(...undoable, ...redoable);
+  let keepFrom = journal.length;
+  let keptBytes = 0;
+  while (
+    keepFrom > 0 &&
+    (keptBytes < CONFIG.JOURNAL_MAX_BYTES / 2 ||
+      journal[keepFrom - 1].seq >= oldestReachable)
+  ) {
+    keepFrom--;
+    keptBytes += JSON.stringify(journal[keepFrom]).length + 1;
+  }
+  const dropped = journal.slice(0, keepFrom);
+  if (dropped.every((entry) => entry.snapshot)) return;
+  const kept = journal.slice(keepFrom);
+  const baseline = kept.reduceRight(
+    (list, entry) => applyJournalEntry(list, entry, "undo"),
+    structuredClone(instructions)
+  );
+  await writeFileAtomic(
+    CONFIG.JOURNAL_FILE,
+    [journalSnapshot(kept[0].seq - 1, dropped.at(-1).at, baseline), ...kept]
+      .map((entry) => JSON.stringify(entry) + "\n")
+      .join("")
+  );
+}
+
+/**
+ * Rebuilds the list from the newest journal snapshot plus every change after
+ * it. Journals started before snapshots existed fall back to the newest
+ * inst.json.v<N>.bak; `complete` is false whenever older records may be lost.
+ */
+async function rebuildFromJournal() {
+  const journal = await readJournal();
+  const start = journal.findLastIndex((entry) => entry.snapshot);
+  let instructions = [];
+  let baseline = null;
+  if (start !== -1) {
+    const { snapshot, version } = journal[start];
+    instructions = migrateInstructions(snapshot, version ?? 0);
+    baseline = "snapshot";
+  } else {
+    const dataDir = path.dirname(CONFIG.DATA_PATH);
+    const backups = fs
+      .readdirSync(dataDir)
+      .map((file) => file.match(/^inst\.json\.v(\d+)\.bak$/))
+      .filter(Boolean)
+      .sort((a, b) => Number(b[1]) - Number(a[1]));
+    for (const [file] of backups) {
+      try {
+        const data = parseDataFile(
+          await readFile(path.join(dataDir, file), "utf-8")
+        );
+        instructions = migrateInstructions(data.instructions, data.version);
+        baseline = file;
+        break;
+      } catch {
+        // An unreadable backup is no better than none
+      }
+    }
+  }
+  instructions = journal
+    .slice(start + 1)
+    .reduce(
+      (list, entry) => applyJournalEntry(list, entry, "redo"),
+      [...instructions]
+    );
+  return { instructions, baseline, complete: baseline === "snapshot" };
+}
+
+/**
+ * Replays the journal into the entries that can still be undone (oldest
+ * first, capped at the undo depth) and redone (next to redo last). A new
+ * change makes everything undone before it unreachable for redo.
+ */
+function replayJournal(journal, depth) {
+  let undoable = [];
+  let redoable = [];
+  for (const entry of journal) {
+    if (entry.snapshot) {
+      continue;
+    } else if (entry.undoes) {
+      undoable = undoable.filter((seq) => !entry.undoes.includes(seq));
+      redoable.push(...entry.undoes);
+    } else if (entry.redoes) {
+      redoable = redoable.filter((seq) => !entry.redoes.includes(seq));
+      undoable.push(...entry.redoes);
+    } else {
+      undoable.push(entry.seq);
+      // Housekeeping such as auto-purge must not cost the user their redo
+      if (!entry.automatic) redoable = [];
+    }
+  }
+  // Entries folded into a snapshot can no longer be stepped through
+  const known = new Set(journal.map((entry) => entry.seq));
+  return {
+    undoable: undoable.filter((seq) => known.has(seq)).slice(-depth),
+    redoable: redoable.filter((seq) => known.has(seq)),
+  };
+}
+
+// "undo" puts back each touched record's before, "redo" its after
+function applyJournalEntry(instructions, entry, direction) {
+  for (const change of entry.changes) {
+    const target = direction === "undo" ? change.before : change.after;
+    const record =
+      target && migrateInstructions([target], entry.version ?? 0)[0];
+    const index = instructions.findIndex((inst) => inst?.id === change.id);
+    if (!record) {
+      if (index !== -1) instructions.splice(index, 1);
+    } else if (index !== -1) {
+      instructions[index] = record;
+    } else {
+      const position = Math.min(
+        change.index ?? instructions.length,
+        instructions.length
+      );
+      instructions.splice(position, 0, record);
+    }
+  }
+  return instructions;
+}
+
+// A missing field and a null one mean the same thing
+const fieldChanges = (before, after) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(
+      (field) =>
+        JSON.stringify(before[field] ?? null) !==
+        JSON.stringify(after[field] ?? null)
+    )
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+
+function formatJournalValue(field, value) {
+  if (value == null || value === "") return chalk.gray("—");
+  if (field === "notes") return `${value.length} note(s)`;
+  if (["added", "deadline", "deletedAt", "completedAt"].includes(field)) {
+    return new Date(value).toLocaleString();
+  }
+  if (Array.isArray(value)) return value.join(", ") || chalk.gray("—");
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+// One line per changed field, reading from `before` to `after`
+function describeRecordChange(id, before, after) {
+  if (!after) {
+    return [
+      `#${id} ${chalk.red("removed")} ${chalk.gray(formatJournalValue("text", before.text))}`,
+    ];
+  }
+  if (!before) {
+    return [
+      `#${id} ${chalk.green("added")} ${chalk.gray(formatJournalValue("text", after.text))}`,
+    ];
+  }
+  return fieldChanges(before, after).map(
+    ({ field, from, to }) =>
+      `#${id} ${chalk.cyan(field)}: ${formatJournalValue(field, from)} → ${formatJournalValue(field, to)}`
+  );
+}
+
+const formatJournalTime = (at) =>
+  at ? new Date(at).toLocaleString() : "before the journal";
+
+// Shows exactly what undoing or redoing an entry will do to each field
+function previewJournalEntry(entry, direction, maxLines = 12) {
+  const targets = entry.undoes ?? entry.redoes;
+  const note = targets
+    ? chalk.gray(
+        ` (${entry.undoes ? "reverts" : "re-applies"} ${targets.map((seq) => `#${seq}`).join(", ")})`
+      )
+    : "";
+  print(
+    `   ${chalk.bold(`#${entry.seq}`)} ${chalk.green(`'${entry.command}'`)}${note} ${chalk.gray(formatJournalTime(entry.at))}`
+  );
+  const lines = entry.changes.flatMap((change) =>
+    direction === "undo"
+      ? describeRecordChange(change.id, change.after, change.before)
+      : describeRecordChange(change.id, change.before, change.after)
+  );
+  lines.slice(0, maxLines).forEach((line) => print(`      ${line}`));
+  if (lines.length > maxLines) {
+    print(chalk.gray(`      … and ${lines.length - maxLines} more`));
+  }
+}
+
+// Shared by 'inst undo' and 'inst redo'
+async function stepThroughJournal(direction, argv) {
+  const isUndo = direction === "undo";
+  const verb = isUndo ? "undone" : "redone";
+  const depth = getSetting(await loadSettings(), "undo-depth");
+  const journal = await readJournal();
+  const { undoable, redoable } = replayJournal(journal, depth);
+  const available = isUndo ? undoable : redoable;
+  if (available.length === 0) {
+    print(chalk.yellow(`ℹ️  Nothing to ${direction}.`));
+    emitJsonError(
+      direction,
+      isUndo ? "NOTHING_TO_UNDO" : "NOTHING_TO_REDO",
+      `Nothing to ${direction}.`
+    );
+    return;
+  }
+
+  let count = argv.steps ?? 1;
+  if (argv.to !== undefined) {
+    const position = available.indexOf(argv.to);
+    if (position === -1) {
+      const message = `Journal entry #${argv.to} can't be ${verb}. ${
+        isUndo
+          ? `It may already be undone, or be older than the undo depth (${depth}).`
+          : "Only changes undone since the last edit can be redone."
+      }`;
+      print(chalk.red.bold(`❌ ${message}`));
+      print(
+        chalk.yellow(
+          `💡 Entries that can be ${verb}: ${available
+            .map((seq) => `#${seq}`)
+            .join(", ")}.`
+        )
+      );
+      emitJsonError(direction, "INVALID_INPUT", message);
+      return;
+    }
+    count = available.length - position;
+  }
+  const bySeq = new Map(journal.map((entry) => [entry.seq, entry]));
+  const entries = available
+    .slice(-count)
+    .reverse()
+    .map((seq) => bySeq.get(seq));
+
+  print(
+    chalk.bold(
+      `\n${isUndo ? "↩️  Undo" : "↪️  Redo"} ${entries.length} change(s):`
+    )
+  );
+  entries.forEach((entry) => previewJournalEntry(entry, direction));
+  if (count > available.length) {
+    print(chalk.gray(`   (only ${available.length} change(s) can be ${verb})`));
+  }
+  const question =
+    entries.length === 1
+      ? `${isUndo ? "Undo" : "Redo"} the '${entries[0].command}' operation?`
+      : `${isUndo ? "Undo" : "Redo"} these ${entries.length} operations?`;
+  if (
+    !(await promptConfirmation(
+      isUndo ? chalk.yellow(`\n${question}`) : chalk.blue(`\n${question}`)
+    ))
+  ) {
+    print(chalk.yellow("\nOperation cancelled."));
+    emitJsonError(direction, "CANCELLED", "Operation cancelled.");
+    return;
+  }
+
+  startLoadingMessage(isUndo ? "Undoing operation" : "Redoing operation");
+  await startJournalEntry(direction, {
+    [isUndo ? "undoes" : "redoes"]: entries.map((entry) => entry.seq),
+  });
+  const instructions = await loadInstructions();
+  for (const entry of entries)
+    applyJournalEntry(instructions, entry, direction);
+  await saveInstructions(instructions);
+  stopLoadingMessage();
+
+  const touchedIds = new Set(
+    entries.flatMap((entry) => entry.changes.map((change) => change.id))
+  );
+  emitJson({
+    command: direction,
+    [isUndo ? "reverted" : "reapplied"]: entries.map((entry) => ({
+      entry: entry.seq,
+      command: entry.command,
+      at: entry.at,
+    })),
+    // Only the records this step touched, not the whole list
+    changed: instructions.filter((inst) => touchedIds.has(inst?.id)),
+    removed: [...touchedIds].filter(
+      (id) => !instructions.some((inst) => inst?.id === id)
+    ),
+  });
+  print(
+    chalk.green.bold(
+      `\n✅ Operation${entries.length === 1 ? "" : "s"} ${isUndo ? "Undone" : "Redone"}`
+    )
+  );
+  for (const entry of entries) {
+    print(
+      `   - ${isUndo ? "Reverted" : "Re-applied"}: '${entry.command}' (#${entry.seq})`
+    );
+  }
+  if (isUndo) {
+    print(chalk.blue(`💡 Tip: Use 'inst redo' to re-apply the change.`));
+  }
+}
+
+// --- Change History (inst history) ---
+function filterHistory(journal, argv) {
+  const command = argv.command?.toLowerCase();
+  const entries = journal
+    .filter((entry) => !command || entry.command === command)
+    .filter(
+      (entry) => !argv.from || (entry.at && new Date(entry.at) >= argv.from)
+    )
+    .filter((entry) => !argv.to || (entry.at && new Date(entry.at) <= argv.to))
+    .map((entry) =>
+      argv.id === undefined
+        ? entry
+        : {
+            ...entry,
+            changes: entry.changes.filter((change) => change.id === argv.id),
+          }
+    )
+    // Undo/redo entries that cancelled out still belong in the full trail
+    .filter(
+      (entry) =>
+        entry.changes.length > 0 ||
+        (argv.id === undefined && (entry.undoes || entry.redoes))
+    );
+  return argv.limit ? entries.slice(-argv.limit) : entries;
+}
+
+// Field-level view of one record change; added and removed records list
+// every field so the trail shows complete values.
+const describeHistoryChange = ({ id, before, after }) => ({
+  id,
+  change: !before ? "added" : !after ? "removed" : "updated",
+  fields: fieldChanges(before ?? {}, after ?? {}),
+});
+
+const historyJsonEntry = (entry) => ({
+  entry: entry.seq,
+  at: entry.at,
+  command: entry.command,
+  ...(entry.undoes && { undoes: entry.undoes }),
+  ...(entry.redoes && { redoes: entry.redoes }),
+  changes: entry.changes.map(describeHistoryChange),
+});
+
+const historyCellValue = (value) => {
+  if (value == null) return "";
+  if (typeof value === "string") return value;
+  if (Array.isArray(value) && value.every((item) => typeof item === "string")) {
+    return value.join(", ");
+  }
+  return JSON.stringify(value);
+};
+
+function buildHistoryCsv(entries) {
+  const headers = [
+    "Entry",
+    "Time",
+    "Command",
+    "ID",
+    "Change",
+    "Field",
+    "Old Value",
+    "New Value",
+  ];
+  const rows = entries.flatMap((entry) =>
+    entry.changes
+      .map(describeHistoryChange)
+      .flatMap(({ id, change, fields }) =>
+        fields.map(({ field, from, to }) =>
+          [
+            entry.seq,
+            entry.at ?? "",
+            entry.command,
+            id,
+            change,
+            field,
+            historyCellValue(from),
+            historyCellValue(to),
+          ]
+            .map(escapeCsv)
+            .join(",")
+        )
+      )
+  );
+  return "\uFEFF" + [headers.map(escapeCsv).join(","), ...rows].join("\n");
+}
+
+const buildHistoryJson = (entries) =>
+  JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      count: entries.length,
+      entries: entries.map(historyJsonEntry),
+    },
+    null,
+    2
+  );
+
+// --- Helper & Utility Functions ---
+function levenshteinDistance(s1, s2) {
+  s1 = s1.toLowerCase();
+  s2 = s2.toLowerCase();
+  const costs = [];
+  for (let i = 0; i <= s1.length; i++) {
+    let lastValue = i;
+    for (let j = 0; j <= s2.length; j++) {
+      if (i === 0) costs[j] = j;
+      else if (j > 0) {
+        let newValue = costs[j - 1];
+        if (s1.charAt(i - 1) !== s2.charAt(j - 1))
+          newValue = Math.min(newValue, lastValue, costs[j]) + 1;
+        costs[j - 1] = lastValue;
+        lastValue = newValue;
+      }
+    }
+    if (i > 0) costs[s2.length] = lastValue;
+  }
+  return costs[s2.length];
+}
+
+function findSuggestion(unknown, list) {
+  return list.reduce(
+    (best, item) => {
+      const dist = levenshteinDistance(unknown, item);
+      if (dist < best.minDistance && dist <= 2)
+        return { minDistance: dist, match: item };
+      return best;
+    },
+    { minDistance: Infinity, match: null }
+  ).match;
+}
+
+const readStoreState = () =>
+  [CONFIG.DATA_PATH, CONFIG.SETTINGS_PATH]
+    .map((file) => (fs.existsSync(file) ? fs.readFileSync(file, "utf-8") : ""))
+    .join("\0");
+
+/**
+ * Asks a y/N question. A held lock is let go while waiting so other inst
+ * commands are not blocked by an open prompt; if one of them changed the
+ * list in the meantime, the command stops instead of overwriting it.
+ */
+async function promptConfirmation(question) {
+  const lockPath = heldLockPath;
+  if (!lockPath) return await askConfirmation(question);
+  const { command } = readLockOwner(lockPath) ?? {};
+  const stateBefore = readStoreState();
+  releaseDataLock();
+  const answer = await askConfirmation(question);
+  try {
+    await acquireDataLock(command, lockPath);
+  } catch (error) {
+    error.code = "LOCKED";
+    error.hint = "Nothing was changed. Run the command again.";
+    throw error;
+  }
+  if (readStoreState() !== stateBefore) {
+    const changed = new Error(
+      "Another inst command changed the list while this one was waiting for an answer. Nothing was changed."
+    );
+    changed.code = "DATA_CHANGED";
+    changed.hint = "Run the command again to work on the current list.";
+    throw changed;
+  }
+  return answer;
+}
+
+function askConfirmation(question) {
+  // A closed stdin (e.g. a script with no input) counts as "no"
+  if (process.stdin.readableEnded) return Promise.resolve(false);
+  // Prompt on stderr in JSON mode so stdout stays parseable
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: jsonMode ? process.stderr : process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(question + chalk.white(" (y/N): "), (answer) => {
+      resolve(answer.trim().toLowerCase() === "y");
+      rl.close();
+    });
+    rl.on("close", () => resolve(false));
+  });
+}
+
+function getDownloadsFolder() {
+  const platform = process.platform;
+  if (platform === "win32") {
+    try {
+      const command = `(New-Object -ComObject Shell.Application).NameSpace('shell:Downloads').Self.Path`;
+      let rawPath = execSync(`powershell -command "${command}"`, {
+        encoding: "utf-8",
+      }).trim();
+      rawPath = rawPath.replace(/^%USERPROFILE%/i, os.homedir());
+      return path.normalize(rawPath);
+    } catch {
+      return path.join(os.homedir(), "Downloads");
+    }
+  }
+  return path.join(os.homedir(), "Downloads");
+}
+
+function openFile(filePath) {
+  const command =
+    process.platform === "win32"
+      ? `start ""`
+      : process.platform === "darwin"
+        ? `open`
+        : `xdg-open`;
+  print(chalk.blue(`\n📂 Opening the file automatically...`));
+  try {
+    execSync(`${command} "${filePath}"`, { stdio: "ignore" });
+  } catch (err) {
+    printError(
+      chalk.red(`Failed to open file. Please open it manually:\n${filePath}`),
+      err
+    );
+  }
+}
+
+const formatNote = (note) =>
+  `[${new Date(note.added).toLocaleString()}] ${note.text}`;
+
+/**
+ * Prints lines to stdout, piping them through $PAGER (or `less -R`) when they
+ * would not fit on the terminal. Falls back to plain printing when stdout is
+ * not a TTY or the pager cannot be started.
+ */
+async function printWithPager(lines, usePager = true) {
+  if (jsonMode) return;
+  const output = lines.join("\n");
+  // Entries may hold several lines of their own, and long ones wrap
+  const columns = process.stdout.columns || Infinity;
+  const rowCount = output
+    .split("\n")
+    .reduce(
+      (rows, line) =>
+        rows + Math.max(1, Math.ceil(stripAnsi(line).length / columns)),
+      0
+    );
+  if (
+    !usePager ||
+    !process.stdout.isTTY ||
+    rowCount < (process.stdout.rows || Infinity)
+  ) {
+    print(output);
+    return;
+  }
+  const pager =
+    process.env.PAGER || (process.platform === "win32" ? "more" : "less -R");
+  const printed = await new Promise((resolve) => {
+    const child = spawn(pager, {
+      shell: true,
+      stdio: ["pipe", "inherit", "inherit"],
+    });
+    child.on("error", () => resolve(false));
+    child.on("close", (code) => resolve(code === 0));
+    child.stdin.on("error", () => {}); // The user may quit the pager early
+    child.stdin.end(output + "\n");
+  });
+  // A missing or failing pager must not swallow the output
+  if (!printed) print(output);
+}
+
+function showNoResultsFeedback() {
+  print(chalk.yellow("\n📭 No instructions match your filters."));
+  print(
+    chalk.blue(
+      "💡 Tip: Try broadening your search or use 'inst show --all' to include deleted items."
+    )
+  );
+}
+
+// --- Date Helpers, Filter Logic, and Filename Generation ---
+const getMonthName = (monthNumber) =>
+  new Date(2000, monthNumber - 1, 1).toLocaleString("en-US", { month: "long" });
+const getDayName = (date) =>
+  date.toLocaleDateString("en-US", { weekday: "long" });
+const getWeekOfMonth = (date) => Math.ceil(date.getDate() / 7);
+
+// Which timestamp --on points the date filters at
+const DATE_FILTER_FIELDS = {
+  added: "added",
+  deadline: "deadline",
+  completed: "completedAt",
+  deleted: "deletedAt",
+};
+
+// Resolves --today, --this-week and --from/--to into one { from, to } range
+function getDateRange(filters, now = new Date()) {
+  if (filters.today) return { from: startOfDay(now), to: endOfDay(now) };
+  if (filters.thisWeek) {
+    const monday = startOfDay(now);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    const sunday = new Date(monday);
+    sunday.setDate(monday.getDate() + 6);
+    return { from: monday, to: endOfDay(sunday) };
+  }
+  if (filters.from || filters.to) return { from: filters.from, to: filters.to };
+  return null;
+}
+
+function filterInstructions(instructions, filters) {
+  let filteredData = [...instructions];
+
+  if (filters.priority) {
+    filteredData = filteredData.filter(
+      (inst) => inst.priority === filters.priority
+    );
+  }
+  if (filters.source) {
+    filteredData = filteredData.filter(
+      (inst) => inst.source.toLowerCase() === filters.source.toLowerCase()
+    );
+  }
+  if (filters.status) {
+    filteredData = filteredData.filter(
+      (inst) => inst.status === filters.status
+    );
+  }
+  if (filters.deadline) {
+    filteredData = filteredData.filter((inst) => inst.deadline);
+  }
+  if (filters.tag && filters.tag.length > 0) {
+    const matchTag = (inst) => (tag) => (inst.tags || []).includes(tag);
+    filteredData = filteredData.filter((inst) =>
+      filters.tagMode === "all"
+        ? filters.tag.every(matchTag(inst))
+        : filters.tag.some(matchTag(inst))
+    );
+  }
+  if (filters.where) {
+    filteredData = filteredData.filter(filters.where.predicate);
+  }
+  if (filters.recurring !== undefined) {
+    filteredData = filteredData.filter(
+      (inst) => Boolean(inst.repeat) === filters.recurring
+    );
+  }
+  if (filters.overdue || filters.dueWithin !== undefined) {
+    // Either flag alone narrows the list; together they keep both groups
+    const now = Date.now();
+    filteredData = filteredData.filter((inst) => {
+      if (!inst.deadline || inst.status === "completed") return false;
+      const due = new Date(inst.deadline).getTime();
+      if (filters.overdue && due < now) return true;
+      return (
+        filters.dueWithin !== undefined &&
+        due >= now &&
+        due <= now + filters.dueWithin
+      );
+    });
+  }
+  // Dating by deletion only makes sense with the deleted items included
+  if (!filters.all && filters.on !== "deleted") {
+    filteredData = filteredData.filter((inst) => !inst.isDeleted);
+  }
+
+  const range = getDateRange(filters);
+  const hasDateFilter =
+    filters.date ||
+    filters.day ||
+    filters.month ||
+    filters.year ||
+    filters.week ||
+    range;
+  if (hasDateFilter) {
+    filteredData = filteredData.filter((inst) => {
+      const checkDate = (dateString) => {
+        if (!dateString) return false;
+        const date = new Date(dateString);
+
+        const dateMatch =
+          !filters.date ||
+          date.toISOString().slice(0, 10) ===
+            new Date(filters.date).toISOString().slice(0, 10);
+        const dayMatch =
+          !filters.day ||
+          getDayName(date).toLowerCase() === filters.day.toLowerCase();
+        const monthMatch =
+          !filters.month || date.getMonth() + 1 === filters.month;
+        const yearMatch = !filters.year || date.getFullYear() === filters.year;
+        const weekMatch =
+          !filters.week || getWeekOfMonth(date) === filters.week;
+        const rangeMatch =
+          !range ||
+          ((!range.from || date >= range.from) &&
+            (!range.to || date <= range.to));
+
+        return (
+          dateMatch &&
+          dayMatch &&
+          monthMatch &&
+          yearMatch &&
+          weekMatch &&
+          rangeMatch
+        );
+      };
+      const fields = filters.on
+        ? [DATE_FILTER_FIELDS[filters.on]]
+        : ["added", "deadline"];
+      return fields.some((field) => checkDate(inst[field]));
+    });
+  }
+
+  return filteredData;
+}
+
+// --- Recurrence Rules ---
+const WEEKDAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const RECURRENCE_ALIASES = {
+  daily: "every day",
+  weekly: "every week",
+  monthly: "every month",
+  yearly: "every year",
+  annually: "every year",
+  biweekly: "every 2 weeks",
+  fortnightly: "every 2 weeks",
+};
+const CLEAR_RECURRENCE_VALUES = ["none", "never", "off"];
+
+const parseWeekday = (word) => {
+  const name = word.replace(/s$/, "");
+  if (name.length < 3) return -1;
+  return WEEKDAY_NAMES.findIndex((day) => day.startsWith(name));
+};
+
+const parseDayOfMonth = (text) => {
+  const match = text.match(/^(?:the |day )?(\d{1,2})(?:st|nd|rd|th)?$/);
+  const day = match ? parseInt(match[1], 10) : NaN;
+  return day >= 1 && day <= 31 ? day : null;
+};
+
+/**
+ * Parses a human recurrence rule such as "every monday", "every 2 weeks" or
+ * "monthly on the 1st" into { interval, unit, weekday?, dayOfMonth? }.
+ * Returns null when the rule is not understood.
+ */
+function parseRecurrence(input) {
+  let text = String(input || "")
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, " ");
+  text = text.replace(
+    /^(daily|weekly|monthly|yearly|annually|biweekly|fortnightly)\b/,
+    (word) => RECURRENCE_ALIASES[word]
+  );
+
+  const match = text.match(/^every(?: (\d+|other))? ([a-z]+)(?: on (.+))?$/);
+  if (!match) return null;
+  const [, count, unitWord, onClause] = match;
+  const interval = count === "other" ? 2 : count ? parseInt(count, 10) : 1;
+  if (interval < 1) return null;
+
+  const weekday = parseWeekday(unitWord);
+  if (weekday !== -1 && !onClause) {
+    return { interval, unit: "week", weekday };
+  }
+
+  const unit = unitWord.replace(/s$/, "");
+  if (!["day", "week", "month", "year"].includes(unit)) return null;
+  if (!onClause) return { interval, unit };
+
+  if (unit === "week") {
+    const onWeekday = parseWeekday(onClause);
+    return onWeekday === -1 ? null : { interval, unit, weekday: onWeekday };
+  }
+  if (unit === "month") {
+    const dayOfMonth = parseDayOfMonth(onClause);
+    return dayOfMonth ? { interval, unit, dayOfMonth } : null;
+  }
+  return null;
+}
+
+const daysInMonth = (year, monthIndex) =>
+  new Date(year, monthIndex + 1, 0).getDate();
+
+// Moves a date forward by exactly one period of the given rule.
+function advanceByRule(date, rule) {
+  const next = new Date(date);
+  if (rule.unit === "day") {
+    next.setDate(next.getDate() + rule.interval);
+  } else if (rule.unit === "week") {
+    if (rule.weekday !== undefined) {
+      const diff = (rule.weekday - next.getDay() + 7) % 7 || 7;
+      next.setDate(next.getDate() + diff + (rule.interval - 1) * 7);
+    } else {
+      next.setDate(next.getDate() + rule.interval * 7);
+    }
+  } else if (rule.unit === "month") {
+    const targetDay = rule.dayOfMonth || next.getDate();
+    let monthOffset = rule.interval;
+    if (
+      rule.dayOfMonth &&
+      next.getDate() <
+        Math.min(targetDay, daysInMonth(next.getFullYear(), next.getMonth()))
+    ) {
+      monthOffset = 0;
+    }
+    next.setDate(1);
+    next.setMonth(next.getMonth() + monthOffset);
+    next.setDate(
+      Math.min(targetDay, daysInMonth(next.getFullYear(), next.getMonth()))
+    );
+  } else if (rule.unit === "year") {
+    next.setFullYear(next.getFullYear() + rule.interval);
+  }
+  return next;
+}
+
+// Rolls a recurring instruction's deadline forward until it lies in the future.
+function getNextOccurrenceDate(inst) {
+  const rule = parseRecurrence(inst.repeat);
+  if (!rule) return null;
+  const now = new Date();
+  let next = advanceByRule(inst.deadline ? new Date(inst.deadline) : now, rule);
+  while (next <= now) next = advanceByRule(next, rule);
+  return next;
+}
+
+function spawnNextOccurrence(instructions, inst) {
+  const nextDeadline = getNextOccurrenceDate(inst);
+  if (!nextDeadline) return null;
+  const nextInst = {
+    id: nextFreeId(instructions),
+    source: inst.source,
+    text: inst.text,
+    added: new Date().toISOString(),
+    priority: inst.priority,
+    deadline: nextDeadline.toISOString(),
+    repeat: inst.repeat,
+    parentId: inst.parentId ?? null,
+    tags: [...(inst.tags || [])],
+    status: "pending",
+    isDeleted: false,
+    deletedAt: null,
+  };
+  instructions.push(nextInst);
+  inst.nextOccurrenceId = nextInst.id;
+  return nextInst;
+}
+
+// Shared by 'mark' and 'edit --status': completing a recurring instruction
+// schedules its next occurrence, which is returned (or null).
+function setStatus(instructions, inst, status) {
+  if (inst.status !== status) {
+    inst.completedAt = status === "completed" ? new Date().toISOString() : null;
+  }
+  inst.status = status;
+  if (status === "completed" && inst.repeat && !inst.nextOccurrenceId) {
+    return spawnNextOccurrence(instructions, inst);
+  }
+  return null;
+}
+
+// --- Subtask Hierarchy ---
+const getChildren = (instructions, id) =>
+  instructions.filter((inst) => inst.parentId === id);
+
+function getDescendants(instructions, id) {
+  const descendants = [];
+  const queue = [id];
+  while (queue.length > 0) {
+    const currentId = queue.shift();
+    for (const child of getChildren(instructions, currentId)) {
+      if (descendants.includes(child)) continue;
+      descendants.push(child);
+      queue.push(child.id);
+    }
+  }
+  return descendants;
+}
+
+function getSubtaskProgress(instructions, id) {
+  const children = getChildren(instructions, id).filter(
+    (inst) => !inst.isDeleted
+  );
+  return {
+    done: children.filter((inst) => inst.status === "completed").length,
+    total: children.length,
+  };
+}
+
+// Returns an error message if `parentId` cannot become the parent of `id`.
+function validateParent(instructions, id, parentId) {
+  const parent = instructions.find((inst) => inst.id === parentId);
+  if (!parent) return `No instruction found with parent ID: ${parentId}`;
+  if (parent.isDeleted) return `Parent instruction #${parentId} is deleted.`;
+  if (id === parentId) return "An instruction cannot be its own parent.";
+  if (
+    id !== null &&
+    getDescendants(instructions, id).some((inst) => inst.id === parentId)
+  ) {
+    return `Instruction #${parentId} is a subtask of #${id}; this would create a cycle.`;
+  }
+  return null;
+}
+
+/**
+ * Orders instructions so that each child directly follows its parent,
+ * keeping the existing order among siblings. Items whose parent is not in
+ * the list are treated as top-level. Returns [{ inst, depth }].
+ */
+function flattenInstructionTree(instructions) {
+  const ids = new Set(instructions.map((inst) => inst.id));
+  const childrenOf = new Map();
+  const roots = [];
+  for (const inst of instructions) {
+    if (inst.parentId && ids.has(inst.parentId) && inst.parentId !== inst.id) {
+      if (!childrenOf.has(inst.parentId)) childrenOf.set(inst.parentId, []);
+      childrenOf.get(inst.parentId).push(inst);
+    } else {
+      roots.push(inst);
+    }
+  }
+  const rows = [];
+  const visited = new Set();
+  const visit = (inst, depth) => {
+    if (visited.has(inst.id)) return;
+    visited.add(inst.id);
+    rows.push({ inst, depth });
+    (childrenOf.get(inst.id) || []).forEach((child) => visit(child, depth + 1));
+  };
+  roots.forEach((inst) => visit(inst, 0));
+  return rows;
+}
+
+// --- Bulk Targets (--id lists and --match) ---
+const formatIdList = (insts) => insts.map((inst) => `#${inst.id}`).join(", ");
+
+// --id and --match are alternatives; one of them picks the targets
+const requireTargets = (argv) => {
+  if (argv.id === undefined && argv.match === undefined) {
+    throw new Error(
+      "Missing target: Provide --id (e.g. 3,5,8-12) or --match <expression>."
+    );
+  }
+  return true;
+};
+
+const isBatch = (argv) => argv.match !== undefined || argv.id.length > 1;
+
+/**
+ * Resolves --id or --match to the instructions a command acts on. Active
+ * instructions are targeted unless `deleted` is set (for recover). Reports
+ * the problem and returns null when any listed ID can't be used.
+ */
+function selectTargets(instructions, argv, { command, verb, deleted = false }) {
+  if (argv.match !== undefined) {
+    const matched = filterInstructions(instructions, {
+      where: argv.match,
+      all: deleted,
+    }).filter((inst) => Boolean(inst.isDeleted) === deleted);
+    if (matched.length === 0) {
+      const message = `No ${deleted ? "deleted " : ""}instructions match "${argv.match.expression}".`;
+      print(chalk.yellow(`ℹ️  ${message}`));
+      emitJsonError(command, "NO_RESULTS", message);
+      return null;
+    }
+    return matched;
+  }
+
+  const byId = new Map(instructions.map((inst) => [inst.id, inst]));
+  const missing = argv.id.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    const message = `No instruction found with ID${missing.length === 1 ? "" : "s"}: ${missing.join(", ")}`;
+    print(
+      chalk.yellow(
+        `ℹ️ ${missing.length === 1 ? "This ID does" : "These IDs do"} not exist. ${message}`
+      )
+    );
+    emitJsonError(command, "NOT_FOUND", message);
+    return null;
+  }
+
+  const targets = argv.id.map((id) => byId.get(id));
+  const unusable = targets.filter(
+    (inst) => Boolean(inst.isDeleted) !== deleted
+  );
+  if (unusable.length > 0) {
+    const ids = formatIdList(unusable);
+    const [code, message] = deleted
+      ? ["NOT_FOUND", `Not in the trash: ${ids}.`]
+      : command === "delete"
+        ? ["NOT_FOUND", `Already deleted: ${ids}.`]
+        : [
+            "DELETED",
+            `Cannot ${verb} deleted instructions: ${ids}. Recover them first.`,
+          ];
+    print(chalk.yellow(`ℹ️  ${message}`));
+    emitJsonError(command, code, message);
+    return null;
+  }
+  return targets;
+}
+
+// Subtasks of any target that aren't targets themselves, each listed once
+function collectSubtasks(instructions, targets, predicate) {
+  const targetIds = new Set(targets.map((inst) => inst.id));
+  const subtasks = new Map();
+  for (const target of targets) {
+    for (const inst of getDescendants(instructions, target.id)) {
+      if (!targetIds.has(inst.id) && predicate(inst))
+        subtasks.set(inst.id, inst);
+    }
+  }
+  return [...subtasks.values()];
+}
+
+// One summary prompt for a whole batch, listing what it will touch
+async function confirmBatch(targets, question) {
+  stopLoadingMessage();
+  print(chalk.bold(`\n${targets.length} instruction(s) will be affected:`));
+  for (const inst of targets.slice(0, 20)) {
+    const text =
+      inst.text.length > 60 ? `${inst.text.slice(0, 59)}…` : inst.text;
+    print(
+      `   ${CONFIG.STATUS_SYMBOLS[inst.status] ?? " "} ${chalk.bold(`#${inst.id}`)} ${chalk.gray(`${inst.source}:`)} ${text}`
+    );
+  }
+  if (targets.length > 20) {
+    print(chalk.gray(`   … and ${targets.length - 20} more`));
+  }
+  return await promptConfirmation(question);
+}
+
+// --- Trash and Retention ---
+const isInTrashSince = (inst, cutoff) =>
+  inst.isDeleted &&
+  (!cutoff || (inst.deletedAt && new Date(inst.deletedAt) < cutoff));
+
+/**
+ * Removes records for good. Subtasks left behind become top-level and links
+ * to a purged next occurrence are cleared, so no dangling IDs remain.
+ */
+function purgeInstructions(instructions, purged) {
+  const purgedIds = new Set(purged.map((inst) => inst.id));
+  const remaining = instructions.filter((inst) => !purgedIds.has(inst.id));
+  const detached = [];
+  for (const inst of remaining) {
+    if (purgedIds.has(inst.parentId)) {
+      inst.parentId = null;
+      detached.push(inst);
+    }
+    if (purgedIds.has(inst.nextOccurrenceId)) inst.nextOccurrenceId = null;
+  }
+  return { remaining, detached };
+}
+
+// Undoing an auto-purge puts records back with their old deletedAt; they stay
+// in the trash from then on instead of being purged again straight away.
+function restoredFromAutoPurge(journal) {
+  const autoPurges = new Set(
+    journal
+      .filter((entry) => entry.command === "auto-purge")
+      .map((entry) => entry.seq)
+  );
+  const restored = new Set();
+  for (const entry of journal) {
+    if (!entry.undoes?.some((seq) => autoPurges.has(seq))) continue;
+    for (const { id, before, after } of entry.changes) {
+      if (!before && after) restored.add(`${id}@${after.deletedAt}`);
+    }
+  }
+  return restored;
+}
+
+// Runs before most commands when 'trash-retention' is set. Skips quietly if
+// another inst command holds the lock; it will catch up next time.
+async function applyTrashRetention() {
+  const retention = getSetting(await loadSettings(), "trash-retention");
+  if (retention === "off") return;
+  const cutoff = new Date(Date.now() - parseDuration(retention));
+  // A damaged or newer data file is left for the command itself to report
+  let data;
+  try {
+    data = parseDataFile(await readFile(CONFIG.DATA_PATH, "utf-8"));
+  } catch {
+    return;
+  }
+  if (data.version > DATA_SCHEMA_VERSION) return;
+  if (!data.instructions.some((inst) => inst && isInTrashSince(inst, cutoff))) {
+    return;
+  }
+  const restored = restoredFromAutoPurge(await readJournal());
+  const isExpired = (inst) =>
+    isInTrashSince(inst, cutoff) &&
+    !restored.has(`${inst.id}@${inst.deletedAt}`);
+  if (!data.instructions.some((inst) => inst && isExpired(inst))) return;
+  if (fs.existsSync(getLockPath())) return;
+  await acquireDataLock("trash-retention");
+  try {
+    const instructions = await loadInstructions();
+    const expired = instructions.filter(isExpired);
+    if (expired.length === 0) return;
+    await startJournalEntry("auto-purge", { automatic: true });
+    await saveInstructions(purgeInstructions(instructions, expired).remaining);
+    print(
+      chalk.gray(
+        `🧹 Permanently removed ${expired.length} instruction(s) deleted more than ${retention} ago (trash-retention). Use 'inst undo' to keep them in the trash until you empty it.`
+      )
+    );
+  } finally {
+    releaseDataLock();
+  }
+}
+
+const emptyTrash = withDataLock(async (argv) => {
+  const cutoff = argv.olderThan && new Date(Date.now() - argv.olderThan);
+  const instructions = await loadInstructions();
+  const trash = instructions.filter((inst) => isInTrashSince(inst, cutoff));
+  if (trash.length === 0) {
+    const message = cutoff
+      ? "Nothing in the trash was deleted that long ago."
+      : "The trash is already empty.";
+    print(chalk.yellow(`\nℹ️  ${message}`));
+    emitJsonError("trash", "NO_RESULTS", message);
+    return;
+  }
+  if (
+    !(await confirmBatch(
+      trash,
+      chalk.red.bold(
+        `⚠️  Permanently remove these ${trash.length} instruction(s)?`
+      )
+    ))
+  ) {
+    print(chalk.yellow("\nOperation cancelled."));
+    emitJsonError("trash", "CANCELLED", "Operation cancelled.");
+    return;
+  }
+  await startJournalEntry("trash empty");
+  const { remaining, detached } = purgeInstructions(instructions, trash);
+  await saveInstructions(remaining);
+  emitJson({
+    command: "trash",
+    action: "empty",
+    purged: trash,
+    detached: detached.map((inst) => inst.id),
+  });
+  print(chalk.green.bold("\n✅ Trash Emptied"));
+  print(`   - Removed: ${trash.length} instruction(s)`);
+  if (detached.length > 0) {
+    print(`   - Now top-level: ${formatIdList(detached)}`);
+  }
+  print(chalk.yellow("💡 Tip: Use 'inst undo' to bring them back."));
+});
+
+// --- Tags ---
+const normalizeTags = (values) => [
+  ...new Set(
+    [values]
+      .flat()
+      .flatMap((value) => String(value).split(","))
+      .map((tag) => tag.trim().replace(/^#/, "").toLowerCase())
+      .filter(Boolean)
+  ),
+];
+
+const formatTags = (tags) => (tags || []).map((tag) => `#${tag}`).join(" ");
+
+// --- Filter Query Language (--where) ---
+const WHERE_FIELDS = {
+  id: { type: "number", get: (inst) => inst.id },
+  status: {
+    type: "enum",
+    choices: optionChoices.status,
+    get: (inst) => inst.status,
+  },
+  priority: {
+    type: "rank",
+    choices: optionChoices.priority,
+    get: (inst) => inst.priority,
+  },
+  source: { type: "string", get: (inst) => inst.source },
+  text: { type: "string", get: (inst) => inst.text },
+  notes: {
+    type: "string",
+    get: (inst) => (inst.notes || []).map((note) => note.text).join("\n"),
+  },
+  tag: { type: "list", get: (inst) => inst.tags || [] },
+  due: { type: "date", get: (inst) => inst.deadline },
+  added: { type: "date", get: (inst) => inst.added },
+  repeat: { type: "string", get: (inst) => inst.repeat },
+  recurring: { type: "boolean", get: (inst) => Boolean(inst.repeat) },
+  parent: { type: "number", get: (inst) => inst.parentId },
+  deleted: { type: "boolean", get: (inst) => Boolean(inst.isDeleted) },
+};
+const WHERE_FIELD_ALIASES = {
+  deadline: "due",
+  instruction: "text",
+  tags: "tag",
+  note: "notes",
+};
+const WHERE_OPERATORS = ["!=", ">=", "<=", "!:", "==", "=", ":", "<", ">"];
+const WHERE_EMPTY_VALUES = ["none", "null"];
+
+const whereError = (detail, pos) =>
+  new Error(`Invalid --where expression: ${detail} (at position ${pos + 1})`);
+
+function tokenizeWhere(expression) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < expression.length) {
+    const char = expression[pos];
+    if (/\s/.test(char)) {
+      pos++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char === "(" ? "lparen" : "rparen", pos });
+      pos++;
+    } else if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, pos + 1);
+      if (end === -1) throw whereError("Unterminated quoted value", pos);
+      tokens.push({
+        type: "value",
+        value: expression.slice(pos + 1, end),
+        pos,
+      });
+      pos = end + 1;
+    } else if (expression.startsWith("&&", pos)) {
+      tokens.push({ type: "and", pos });
+      pos += 2;
+    } else if (expression.startsWith("||", pos)) {
+      tokens.push({ type: "or", pos });
+      pos += 2;
+    } else {
+      const op = WHERE_OPERATORS.find((o) => expression.startsWith(o, pos));
+      if (op) {
+        tokens.push({ type: "op", value: op === "==" ? "=" : op, pos });
+        pos += op.length;
+        continue;
+      }
+      const word = expression.slice(pos).match(/^[^\s()"'=!<>:&|]+/);
+      if (!word) throw whereError(`Unexpected character '${char}'`, pos);
+      const keyword = word[0].toLowerCase();
+      tokens.push(
+        ["and", "or", "not"].includes(keyword)
+          ? { type: keyword, pos }
+          : { type: "value", value: word[0], pos }
+      );
+      pos += word[0].length;
+    }
+  }
+  tokens.push({ type: "eof", pos: expression.length });
+  return tokens;
+}
+
+const startOfDay = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const endOfDay = (date) =>
+  new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + 1,
+    0,
+    0,
+    0,
+    -1
+  );
+
+/**
+ * Parses a --from/--to style boundary with chrono. A bare day covers the
+ * whole day: "from" starts at midnight and "to" runs until the day ends.
+ */
+function parseDateBoundary(value, edge) {
+  const [result] = chrono.parse(String(value));
+  if (!result) return null;
+  const date = result.start.date();
+  if (result.start.isCertain("hour")) return date;
+  return edge === "to" ? endOfDay(date) : startOfDay(date);
+}
+
+const DURATION_UNITS = { h: 3_600_000, d: 86_400_000, w: 7 * 86_400_000 };
+
+// "36h", "30d", "2 weeks"; a bare number counts days. Returns milliseconds.
+function parseDuration(text) {
+  const match = String(text)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(h|hours?|d|days?|w|weeks?)?$/);
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[match[2]?.[0] ?? "d"];
+}
+
+// The largest whole unit that fits, e.g. 1209600000 -> "2w"
+function formatDuration(ms) {
+  const [unit, size] = Object.entries(DURATION_UNITS)
+    .reverse()
+    .find(([, size]) => ms % size === 0) ?? ["h", DURATION_UNITS.h];
+  return `${+(ms / size).toFixed(2)}${unit}`;
+}
+
+function parseWhereDate(value, pos) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : chrono.parseDate(value);
+  if (!date || isNaN(date.getTime())) {
+    throw whereError(`Could not understand the date "${value}"`, pos);
+  }
+  return startOfDay(date);
+}
+
+// Builds a predicate for a single `field op value` comparison.
+function buildWhereComparison(fieldToken, opToken, valueToken) {
+  const rawName = fieldToken.value.toLowerCase();
+  const fieldName = WHERE_FIELD_ALIASES[rawName] || rawName;
+  const field = WHERE_FIELDS[fieldName];
+  if (!field) {
+    const suggestion = findSuggestion(rawName, Object.keys(WHERE_FIELDS));
+    throw whereError(
+      `Unknown field '${fieldToken.value}'${suggestion ? ` (did you mean '${suggestion}'?)` : ""}`,
+      fieldToken.pos
+    );
+  }
+  const op = opToken.value;
+  const value = valueToken.value;
+  const lowerValue = value.toLowerCase();
+  const negated = op === "!=" || op === "!:";
+  const baseOp = negated ? op.slice(1) : op;
+  const isOrdering = ["<", "<=", ">", ">="].includes(op);
+  const unsupported = () =>
+    whereError(
+      `Operator '${op}' cannot be used with '${fieldName}'`,
+      opToken.pos
+    );
+  const compareWith = (diff) =>
+    ({
+      "<": diff < 0,
+      "<=": diff <= 0,
+      ">": diff > 0,
+      ">=": diff >= 0,
+    })[op];
+
+  let test;
+  if (WHERE_EMPTY_VALUES.includes(lowerValue) && !isOrdering) {
+    test = (inst) => {
+      const current = field.get(inst);
+      return Array.isArray(current)
+        ? current.length === 0
+        : current === null || current === undefined || current === "";
+    };
+  } else if (field.type === "string") {
+    if (isOrdering) throw unsupported();
+    test =
+      baseOp === ":"
+        ? (inst) =>
+            String(field.get(inst) ?? "")
+              .toLowerCase()
+              .includes(lowerValue)
+        : (inst) => String(field.get(inst) ?? "").toLowerCase() === lowerValue;
+  } else if (field.type === "enum" || field.type === "rank") {
+    if (!field.choices.includes(lowerValue)) {
+      throw whereError(
+        `Unknown ${fieldName} '${value}'. Choices: ${field.choices.join(", ")}`,
+        valueToken.pos
+      );
+    }
+    if (isOrdering) {
+      if (field.type !== "rank") throw unsupported();
+      // Lower PRIORITY_ORDER means more important, so invert for ">="
+      const rank = (name) => -(CONFIG.PRIORITY_ORDER[name] || 4);
+      return (inst) =>
+        compareWith(rank(field.get(inst)) - rank(lowerValue)) === true;
+    }
+    test = (inst) => field.get(inst) === lowerValue;
+  } else if (field.type === "number") {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw whereError(
+        `'${fieldName}' needs a number, got "${value}"`,
+        valueToken.pos
+      );
+    }
+    if (isOrdering) {
+      return (inst) =>
+        typeof field.get(inst) === "number" &&
+        compareWith(field.get(inst) - number);
+    }
+    test = (inst) => field.get(inst) === number;
+  } else if (field.type === "date") {
+    const day = parseWhereDate(value, valueToken.pos);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+    if (isOrdering) {
+      // Compare by whole days: "due<friday" means before Friday starts
+      return (inst) => {
+        const current = field.get(inst);
+        if (!current) return false;
+        const time = new Date(current).getTime();
+        return {
+          "<": time < day.getTime(),
+          "<=": time < nextDay.getTime(),
+          ">": time >= nextDay.getTime(),
+          ">=": time >= day.getTime(),
+        }[op];
+      };
+    }
+    test = (inst) => {
+      const current = field.get(inst);
+      if (!current) return false;
+      const time = new Date(current).getTime();
+      return time >= day.getTime() && time < nextDay.getTime();
+    };
+  } else if (field.type === "list") {
+    if (isOrdering) throw unsupported();
+    test =
+      baseOp === ":"
+        ? (inst) => field.get(inst).some((item) => item.includes(lowerValue))
+        : (inst) => field.get(inst).includes(lowerValue.replace(/^#/, ""));
+  } else if (field.type === "boolean") {
+    if (isOrdering || baseOp === ":") throw unsupported();
+    const expected = ["true", "yes", "1"].includes(lowerValue)
+      ? true
+      : ["false", "no", "0"].includes(lowerValue)
+        ? false
+        : null;
+    if (expected === null) {
+      throw whereError(
+        `'${fieldName}' must be true or false, got "${value}"`,
+        valueToken.pos
+      );
+    }
+    test = (inst) => field.get(inst) === expected;
+  }
+  return negated ? (inst) => !test(inst) : test;
+}
+
+/**
+ * Compiles a --where expression such as
+ * `status!=completed and (priority>=medium or source:Work)` into a predicate.
+ * Throws an "Invalid --where expression" error describing the first problem.
+ */
+function compileWhereExpression(expression) {
+  const tokens = tokenizeWhere(expression);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const describe = (token) =>
+    token.type === "eof"
+      ? "end of expression"
+      : `'${token.value ?? expression[token.pos]}'`;
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek().type === "or") {
+      next();
+      const right = parseAnd();
+      const prev = left;
+      left = (inst) => prev(inst) || right(inst);
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek().type === "and") {
+      next();
+      const right = parseNot();
+      const prev = left;
+      left = (inst) => prev(inst) && right(inst);
+    }
+    return left;
+  };
+  const parseNot = () => {
+    if (peek().type === "not") {
+      next();
+      const inner = parseNot();
+      return (inst) => !inner(inst);
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const token = next();
+    if (token.type === "lparen") {
+      const inner = parseOr();
+      const closing = next();
+      if (closing.type !== "rparen") {
+        throw whereError(
+          `Expected ')' but found ${describe(closing)}`,
+          closing.pos
+        );
+      }
+      return inner;
+    }
+    if (token.type !== "value") {
+      throw whereError(
+        `Expected a field name but found ${describe(token)}`,
+        token.pos
+      );
+    }
+    const opToken = next();
+    if (opToken.type !== "op") {
+      throw whereError(
+        `Expected an operator (=, !=, :, <, <=, >, >=) after '${token.value}' but found ${describe(opToken)}`,
+        opToken.pos
+      );
+    }
+    const valueToken = next();
+    if (valueToken.type !== "value") {
+      throw whereError(
+        `Expected a value after '${token.value}${opToken.value}' but found ${describe(valueToken)}`,
+        valueToken.pos
+      );
+    }
+    return buildWhereComparison(token, opToken, valueToken);
+  };
+
+  if (peek().type === "eof") throw whereError("The expression is empty", 0);
+  const predicate = parseOr();
+  if (peek().type !== "eof") {
+    throw whereError(
+      `Unexpected ${describe(peek())}; join conditions with 'and' or 'or'`,
+      peek().pos
+    );
+  }
+  return predicate;
+}
+
+function generateFileNameAndTitle(options) {
+  const titleParts = [];
+  const filenameParts = [];
+
+  const getWeekSuffix = (week) => {
+    if (week === 1) return "1st";
+    if (week === 2) return "2nd";
+    if (week === 3) return "3rd";
+    return `${week}th`;
+  };
+
+  if (options.date) {
+    titleParts.push(`for ${options.date}`);
+    filenameParts.push(options.date);
+  } else {
+    const timeParts = [];
+    if (options.day) timeParts.push(options.day);
+    if (options.week) timeParts.push(`the ${getWeekSuffix(options.week)} week`);
+    if (options.month) timeParts.push(`of ${getMonthName(options.month)}`);
+    if (options.year) timeParts.push(String(options.year));
+    if (timeParts.length > 0) {
+      titleParts.push(`for ${timeParts.join(" ")}`);
+      filenameParts.push(
+        ...timeParts.map((p) => p.toLowerCase().replace(/ /g, "-"))
+      );
+    }
+  }
+  if (options.today) {
+    titleParts.push("for today");
+    filenameParts.push("today");
+  } else if (options.thisWeek) {
+    titleParts.push("for this week");
+    filenameParts.push("this-week");
+  } else if (options.from || options.to) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const day = (date) =>
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const rangeParts = [];
+    if (options.from) {
+      rangeParts.push(`from ${options.from.toLocaleDateString()}`);
+      filenameParts.push(`from-${day(options.from)}`);
+    }
+    if (options.to) {
+      rangeParts.push(`to ${options.to.toLocaleDateString()}`);
+      filenameParts.push(`to-${day(options.to)}`);
+    }
+    titleParts.push(rangeParts.join(" "));
+  }
+  if (options.on && titleParts.length > 0) {
+    titleParts[titleParts.length - 1] += ` by ${options.on} date`;
+    filenameParts.push(`by-${options.on}`);
+  }
+
+  let title =
+    titleParts.length > 0
+      ? `Instructions ${titleParts.join(", ")}`
+      : "All Instructions";
+  let filename =
+    filenameParts.length > 0 ? `inst_${filenameParts.join("_")}` : "inst_all";
+
+  if (options.priority) {
+    title += `, ${options.priority} priority`;
+    filename += `_${options.priority}-priority`;
+  }
+  if (options.source) {
+    title += `, from ${options.source}`;
+    filename += `_from-${options.source.replace(/ /g, "-")}`;
+  }
+  if (options.status) {
+    title += `, with status ${options.status}`;
+    filename += `_${options.status}`;
+  }
+  if (options.deadline) {
+    title += ", with deadlines";
+    filename += "_with-deadline";
+  }
+  if (options.overdue) {
+    title += options.dueWithin !== undefined ? ", overdue or" : ", overdue";
+    filename += "_overdue";
+  }
+  if (options.dueWithin !== undefined) {
+    const within = formatDuration(options.dueWithin);
+    title += options.overdue
+      ? ` due within ${within}`
+      : `, due within ${within}`;
+    filename += `_due-within-${within}`;
+  }
+  if (options.recurring !== undefined) {
+    title += options.recurring ? ", recurring" : ", one-off";
+    filename += options.recurring ? "_recurring" : "_one-off";
+  }
+  if (options.tag && options.tag.length > 0) {
+    const joiner = options.tagMode === "all" ? " and " : " or ";
+    title += `, tagged ${options.tag.join(joiner)}`;
+    filename += `_tag-${options.tag.join("-")}`;
+  }
+  if (options.where) {
+    title += `, where ${options.where.expression}`;
+    filename += `_where-${options.where.expression
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 40)}`;
+  }
+  if (options.all) {
+    title += " (including deleted)";
+    filename += "_including-deleted";
+  }
+
+  filename = filename.replace("inst_all_", "inst_");
+  title = title.replace("All Instructions, ", "Instructions ");
+
+  return { titleLabel: title, filenameLabel: filename };
+}
+
+function validateFilterOptions(options) {
+  if (options.date) {
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(options.date) ||
+      isNaN(new Date(options.date).getTime())
+    ) {
+      return "Invalid date format for --date. Please use YYYY-MM-DD.";
+    }
+    if (options.day || options.month || options.week || options.year) {
+      return "Cannot use --date with other time filters like --day, --month, etc.";
+    }
+  }
+  if (options.week && !options.month) {
+    return "The --week filter must be used with the --month filter.";
+  }
+  const rangeFlags = [
+    options.today && "--today",
+    options.thisWeek && "--this-week",
+    (options.from || options.to) && "--from/--to",
+  ].filter(Boolean);
+  if (rangeFlags.length > 1) {
+    return `Cannot combine ${rangeFlags.join(" and ")}; pick one way to set the date range.`;
+  }
+  if (options.from && options.to && options.from > options.to) {
+    return "The --from date must be before the --to date.";
+  }
+  if (
+    options.on &&
+    !(
+      rangeFlags.length ||
+      options.date ||
+      options.day ||
+      options.month ||
+      options.year
+    )
+  ) {
+    return "The --on option needs a date filter to apply to, like --from, --today or --month.";
+  }
+  return true;
+}
+
+const weekCoercion = (week) => {
+  if (week !== undefined) {
+    if (typeof week !== "number" || week < 1 || week > 5) {
+      throw new Error(
+        `Invalid week value: The week must be a number between 1 and 5.`
+      );
+    }
+  }
+  return week;
+};
+
+function parseMonth(monthInput) {
+  if (!monthInput) return null;
+
+  const monthNumber = parseInt(monthInput, 10);
+  if (!isNaN(monthNumber) && monthNumber >= 1 && monthNumber <= 12) {
+    return monthNumber;
+  }
+
+  const monthStr = String(monthInput).toLowerCase().trim();
+  const monthMap = {
+    january: 1,
+    jan: 1,
+    february: 2,
+    feb: 2,
+    march: 3,
+    mar: 3,
+    april: 4,
+    apr: 4,
+    may: 5,
+    june: 6,
+    jun: 6,
+    july: 7,
+    jul: 7,
+    august: 8,
+    aug: 8,
+    september: 9,
+    sep: 9,
+    october: 10,
+    oct: 10,
+    november: 11,
+    nov: 11,
+    december: 12,
+    dec: 12,
+  };
+
+  return monthMap[monthStr] || null;
+}
+
+const monthCoercion = (monthInput) => {
+  if (monthInput === undefined) return undefined;
+  const monthNumber = parseMonth(monthInput);
+  if (monthNumber === null) {
+    throw new Error(`Invalid month: '${monthInput}'.`);
+  }
+  return monthNumber;
+};
+
+const parentCoercion = (parentInput) => {
+  if (parentInput === undefined) return undefined;
+  if (String(parentInput).toLowerCase() === "none") return null;
+  const parentId = Number(parentInput);
+  if (!Number.isInteger(parentId) || parentId < 1) {
+    throw new Error(`Invalid parent ID: '${parentInput}'.`);
+  }
+  return parentId;
+};
+
+const tagsCoercion = (tagInput) => {
+  if (tagInput === undefined) return undefined;
+  const tags = normalizeTags(tagInput);
+  return tags.length === 1 && tags[0] === "none" ? [] : tags;
+};
+
+const SORT_KEYS = ["priority", "deadline", "added", "id", "source", "status"];
+
+const sortCoercion = (sortInput) => {
+  if (sortInput === undefined) return undefined;
+  const keys = [sortInput]
+    .flat()
+    .flatMap((value) => String(value).split(","))
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = keys.find((key) => !SORT_KEYS.includes(key));
+  if (invalid !== undefined || keys.length === 0) {
+    throw new Error(`Invalid sort key: '${invalid ?? sortInput}'.`);
+  }
+  return keys;
+};
+
+const countCoercion = (name) => (countInput) => {
+  if (countInput === undefined) return undefined;
+  if (!Number.isInteger(countInput) || countInput < 0) {
+    throw new Error(
+      `Invalid --${name} value: It must be a whole number of 0 or more.`
+    );
+  }
+  return countInput;
+};
+
+const dateBoundaryCoercion = (name) => (dateInput) => {
+  if (dateInput === undefined) return undefined;
+  const date = parseDateBoundary(dateInput, name);
+  if (!date) {
+    throw new Error(
+      `Invalid --${name} date: Could not understand "${dateInput}".`
+    );
+  }
+  return date;
+};
+
+// Expands "3,5,8-12" into [3, 5, 8, 9, 10, 11, 12]
+const idListCoercion = (idInput) => {
+  if (idInput === undefined) return undefined;
+  const ids = [];
+  for (const part of String(idInput).split(",")) {
+    const token = part.trim();
+    if (!token) continue;
+    const range = token.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+      const [start, end] = [Number(range[1]), Number(range[2])];
+      if (start > end) {
+        throw new Error(
+          `Invalid ID list: The range "${token}" counts backwards.`
+        );
+      }
+      if (end - start >= 10_000) {
+        throw new Error(`Invalid ID list: The range "${token}" is too large.`);
+      }
+      for (let id = start; id <= end; id++) ids.push(id);
+    } else if (/^\d+$/.test(token)) {
+      ids.push(Number(token));
+    } else {
+      throw new Error(
+        `Invalid ID list: "${token}" is not an ID or a range like 8-12.`
+      );
+    }
+  }
+  if (ids.length === 0) throw new Error("Invalid ID list: No IDs were given.");
+  return [...new Set(ids)];
+};
+
+const durationCoercion = (name) => (durationInput) => {
+  if (durationInput === undefined) return undefined;
+  const duration = parseDuration(durationInput);
+  if (duration === null) {
+    throw new Error(
+      `Invalid --${name} value: Use a duration like "30d", "2w" or "36h".`
+    );
+  }
+  return duration;
+};
+
+const stepsCoercion = (stepsInput) => {
+  if (stepsInput === undefined) return undefined;
+  if (!Number.isInteger(stepsInput) || stepsInput < 1) {
+    throw new Error(
+      `Invalid --steps value: It must be a whole number of 1 or more.`
+    );
+  }
+  return stepsInput;
+};
+
+const journalEntryCoercion = (entryInput) => {
+  if (entryInput === undefined) return undefined;
+  if (!Number.isInteger(entryInput) || entryInput < 1) {
+    throw new Error(
+      `Invalid --to value: It must be a journal entry number, like 12.`
+    );
+  }
+  return entryInput;
+};
+
+const whereCoercion = (whereInput) => {
+  if (whereInput === undefined) return undefined;
+  const expression = String(whereInput).trim();
+  return { expression, predicate: compileWhereExpression(expression) };
+};
+
+const repeatCoercion = (repeatInput) => {
+  if (repeatInput === undefined) return undefined;
+  const rule = String(repeatInput).trim();
+  if (CLEAR_RECURRENCE_VALUES.includes(rule.toLowerCase())) return null;
+  if (!parseRecurrence(rule)) {
+    throw new Error(`Invalid repeat rule: '${repeatInput}'.`);
+  }
+  return rule;
+};
+
+// Filter options shared by every command that reads through filterInstructions.
+// 'total' and 'export' keep their original free-text --status and --priority
+// (no -s/-p shorthands or choice checks) by passing { strict: false }.
+const withFilterOptions = (yargs, { strict = true } = {}) =>
+  yargs
+    .option("status", {
+      describe: "Filter by status",
+      type: "string",
+      ...(strict
+        ? { alias: "s", choices: Object.keys(CONFIG.STATUS_SYMBOLS) }
+        : { requiresArg: true }),
+    })
+    .option("all", {
+      describe: "Include deleted instructions",
+      type: "boolean",
+    })
+    .option("date", {
+      describe: `Filter by date (e.g., ${new Date().getFullYear()}-08-07)`,
+      type: "string",
+      requiresArg: true,
+    })
+    .option("day", {
+      describe: "Filter by day name",
+      type: "string",
+      requiresArg: true,
+    })
+    .option("month", {
+      describe: "Filter by month (name or 1-12)",
+      type: "string",
+      requiresArg: true,
+    })
+    .option("week", {
+      describe: "Filter by week of month (1-5)",
+      type: "number",
+      requiresArg: true,
+    })
+    .option("year", {
+      describe: "Filter by year (YYYY)",
+      type: "number",
+      requiresArg: true,
+    })
+    .option("from", {
+      describe: "Only dates on or after this (e.g., 'last monday')",
+      type: "string",
+      requiresArg: true,
+    })
+    .option("to", {
+      describe: "Only dates on or before this (e.g., 'end of month')",
+      type: "string",
+      requiresArg: true,
+    })
+    .option("today", {
+      describe: "Only dates falling today",
+      type: "boolean",
+    })
+    .option("this-week", {
+      describe: "Only dates in the current week (Monday to Sunday)",
+      type: "boolean",
+    })
+    .option("on", {
+      describe: "Which date the date filters check",
+      type: "string",
+      choices: optionChoices.on,
+    })
+    .option("overdue", {
+      describe: "Only unfinished items past their deadline",
+      type: "boolean",
+    })
+    .option("due-within", {
+      describe: "Only unfinished items due within this time (e.g., 3d)",
+      type: "string",
+      requiresArg: true,
+    })
+    .option("priority", {
+      describe: "Filter by priority",
+      type: "string",
+      ...(strict
+        ? { alias: "p", choices: Object.keys(CONFIG.PRIORITY_ORDER) }
+        : { requiresArg: true }),
+    })
+    .option("source", {
+      describe: "Filter by source",
+      type: "string",
+      requiresArg: true,
+    })
+    .option("deadline", {
+      describe: "Show only instructions with a deadline",
+      type: "boolean",
+    })
+    .option("recurring", {
+      describe: "Filter recurring (or --no-recurring one-off) items",
+      type: "boolean",
+    })
+    .option("tag", {
+      describe: "Filter by tag (repeatable)",
+      type: "string",
+      requiresArg: true,
+    })
+    .option("tag-mode", {
+      describe: "Match any or all of the given tags",
+      type: "string",
+      choices: ["any", "all"],
+      default: "any",
+    })
+    .option("where", {
+      describe: "Filter with an expression (e.g., 'status!=completed')",
+      type: "string",
+      requiresArg: true,
+    })
+    .check(validateFilterOptions)
+    .coerce("from", dateBoundaryCoercion("from"))
+    .coerce("to", dateBoundaryCoercion("to"))
+    .coerce("due-within", durationCoercion("due-within"))
+    .coerce("week", weekCoercion)
+    .coerce("month", monthCoercion)
+    .coerce("tag", tagsCoercion)
+    .coerce("where", whereCoercion);
+
+// --- Full-Text Search ---
+const SEARCH_FIELD_WEIGHTS = { text: 3, source: 2, tags: 2, notes: 1 };
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Splits a search query into terms, "quoted phrases" and -excluded words.
+ * Returns { terms, phrases, excluded }, all lower-cased.
+ */
+function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const tokenPattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  for (const match of query.matchAll(tokenPattern)) {
+    const negated = match[1] || match[3];
+    const phrase = match[2] !== undefined;
+    const value = (phrase ? match[2] : match[4]).trim().toLowerCase();
+    if (!value) continue;
+    if (negated) parsed.excluded.push(value);
+    else if (phrase) parsed.phrases.push(value);
+    else parsed.terms.push(value);
+  }
+  return parsed;
+}
+
+const getSearchFields = (inst) => ({
+  text: String(inst.text || ""),
+  source: String(inst.source || ""),
+  tags: (inst.tags || []).join(" "),
+  notes: (inst.notes || []).map((note) => note.text).join("\n"),
+});
+
+// Longer words tolerate more typos; very short words must match exactly.
+const typoTolerance = (term) =>
+  term.length >= 6 ? 2 : term.length >= 4 ? 1 : 0;
+
+/**
+ * Scores one instruction against a parsed query. Returns null when it does not
+ * match, otherwise { score, highlights } where highlights are the literal
+ * strings to emphasise in the output.
+ */
+function scoreInstruction(inst, query) {
+  const fields = getSearchFields(inst);
+  const lowerFields = Object.fromEntries(
+    Object.entries(fields).map(([name, value]) => [name, value.toLowerCase()])
+  );
+  const everything = Object.values(lowerFields).join("\n");
+  if (query.excluded.some((word) => everything.includes(word))) return null;
+
+  let score = 0;
+  const highlights = [];
+
+  for (const phrase of query.phrases) {
+    const hits = Object.entries(lowerFields).filter(([, value]) =>
+      value.includes(phrase)
+    );
+    if (hits.length === 0) return null;
+    hits.forEach(([name]) => (score += SEARCH_FIELD_WEIGHTS[name] * 3));
+    highlights.push(phrase);
+  }
+
+  for (const term of query.terms) {
+    let termScore = 0;
+    for (const [name, value] of Object.entries(lowerFields)) {
+      const weight = SEARCH_FIELD_WEIGHTS[name];
+      if (value.includes(term)) {
+        const wholeWord = new RegExp(`\\b${escapeRegExp(term)}\\b`).test(value);
+        termScore += weight * (wholeWord ? 2 : 1.5);
+        highlights.push(term);
+        continue;
+      }
+      const tolerance = typoTolerance(term);
+      if (tolerance === 0) continue;
+      for (const word of new Set(value.split(/[^\p{L}\p{N}]+/u))) {
+        if (!word || Math.abs(word.length - term.length) > tolerance) continue;
+        const distance = levenshteinDistance(term, word);
+        if (distance <= tolerance) {
+          termScore += weight * (1 - distance / (term.length + 1));
+          highlights.push(word);
+        }
+      }
+    }
+    if (termScore === 0) return null;
+    score += termScore;
+  }
+
+  return { score, highlights };
+}
+
+function scoreInstructionByRegex(inst, regex) {
+  let score = 0;
+  for (const [name, value] of Object.entries(getSearchFields(inst))) {
+    const matches = value.match(new RegExp(regex.source, "gi"));
+    if (matches) score += SEARCH_FIELD_WEIGHTS[name] * matches.length;
+  }
+  return score > 0 ? { score, highlights: [] } : null;
+}
+
+/**
+ * Returns [{ inst, score, highlight }] sorted by relevance, where `highlight`
+ * is a regex matching the text to emphasise. Throws on an invalid --regex.
+ */
+function searchInstructions(instructions, queryText, useRegex = false) {
+  let regex = null;
+  let query = null;
+  if (useRegex) {
+    try {
+      regex = new RegExp(queryText, "i");
+    } catch (error) {
+      throw new Error(`Invalid search pattern: ${error.message}`);
+    }
+  } else {
+    query = parseSearchQuery(queryText);
+    if (query.terms.length === 0 && query.phrases.length === 0) {
+      throw new Error(
+        "Invalid search pattern: The query needs at least one word or phrase to look for."
+      );
+    }
+  }
+
+  const results = [];
+  for (const inst of instructions) {
+    const match = useRegex
+      ? scoreInstructionByRegex(inst, regex)
+      : scoreInstruction(inst, query);
+    if (!match) continue;
+    const highlight = useRegex
+      ? new RegExp(regex.source, "gi")
+      : new RegExp(
+          [...new Set(match.highlights)]
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join("|"),
+          "gi"
+        );
+    results.push({ inst, score: match.score, highlight });
+  }
+  return results.sort(
+    (a, b) =>
+      b.score - a.score ||
+      (CONFIG.PRIORITY_ORDER[a.inst.priority] || 4) -
+        (CONFIG.PRIORITY_ORDER[b.inst.priority] || 4)
+  );
+}
+
+const highlightMatches = (text, highlight) =>
+  String(text ?? "").replace(highlight, (match) =>
+    match ? chalk.bgYellow.black(match) : match
+  );
+
+// --- Sorting and Paging ---
+function compareBySortKey(a, b, key, direction) {
+  if (key === "deadline") {
+    // Instructions without a deadline always sort last
+    if (!a.deadline || !b.deadline) return !a.deadline - !b.deadline;
+    return direction * (new Date(a.deadline) - new Date(b.deadline));
   }
-  if (filters.status) {
-    filteredData = filteredData.filter(
-      (inst) => inst.status === filters.status
+  const comparators = {
+    priority: () =>
+      (CONFIG.PRIORITY_ORDER[a.priority] || 4) -
+      (CONFIG.PRIORITY_ORDER[b.priority] || 4),
+    added: () => new Date(a.added) - new Date(b.added),
+    id: () => a.id - b.id,
+    source: () =>
+      String(a.source).localeCompare(String(b.source), undefined, {
+        sensitivity: "base",
+      }),
+    status: () =>
+      (CONFIG.STATUS_ORDER[a.status] || 5) -
+      (CONFIG.STATUS_ORDER[b.status] || 5),
+  };
+  return direction * comparators[key]();
+}
+
+// Sorts (stable, multi-key) and then applies --offset/--limit.
+function sortAndPageInstructions(instructions, options) {
+  const keys = options.sort || ["priority"];
+  const direction = options.reverse ? -1 : 1;
+  const sorted = [...instructions].sort((a, b) => {
+    for (const key of keys) {
+      const result = compareBySortKey(a, b, key, direction);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+  const offset = options.offset || 0;
+  return sorted.slice(
+    offset,
+    options.limit === undefined ? undefined : offset + options.limit
+  );
+}
+
+const withSortOptions = (yargs) =>
+  yargs
+    .option("sort", {
+      describe: "Sort keys: priority, deadline, added, id, source, status",
+      type: "string",
+      requiresArg: true,
+    })
+    .option("reverse", {
+      describe: "Reverse the sort order",
+      type: "boolean",
+    })
+    .option("limit", {
+      describe: "Maximum number of instructions",
+      type: "number",
+      requiresArg: true,
+    })
+    .option("offset", {
+      describe: "Number of instructions to skip",
+      type: "number",
+      requiresArg: true,
+    })
+    .coerce("sort", sortCoercion)
+    .coerce("limit", countCoercion("limit"))
+    .coerce("offset", countCoercion("offset"));
+
+// --- Instruction Views ---
+const terminalWidth = () => process.stdout.columns || 100;
+
+const formatShortDate = (dateString) => {
+  if (!dateString) return "";
+  const date = new Date(dateString);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Pads or truncates plain text to exactly `width` visible characters.
+const fitToWidth = (text, width) => {
+  const chars = Array.from(String(text ?? ""));
+  return chars.length > width
+    ? chars.slice(0, Math.max(0, width - 1)).join("") + "…"
+    : chars.join("") + " ".repeat(width - chars.length);
+};
+
+const priorityColor = (inst) =>
+  CONFIG.PRIORITY_COLORS[inst.priority] || chalk.white;
+const statusColor = (inst) => CONFIG.STATUS_COLORS[inst.status] || chalk.gray;
+const strikeIfCompleted = (inst) =>
+  inst.status === "completed" && !inst.isDeleted
+    ? chalk.gray.strikethrough
+    : (str) => str;
+
+function renderCardView(rows, instructions) {
+  const lines = [];
+  for (const { inst, depth } of rows) {
+    const indent = "    ".repeat(depth);
+    const progress = getSubtaskProgress(instructions, inst.id);
+    const progressLabel =
+      progress.total > 0
+        ? ` | ${chalk.magenta(`${progress.done} of ${progress.total} done`)}`
+        : "";
+    const header = `${depth > 0 ? "↳ " : ""}${CONFIG.STATUS_SYMBOLS[inst.status] || " "}  ${chalk.cyan(`ID: ${inst.id}`)} | ${priorityColor(inst)(`PRIORITY: ${inst.priority.toUpperCase()}`)} | ${statusColor(inst)(`STATUS: ${inst.status}`)} | ${chalk.yellow(inst.source)}${inst.tags?.length ? ` ${chalk.magentaBright(formatTags(inst.tags))}` : ""}${progressLabel}`;
+    const text = `   ${chalk.cyan.bold("Instruction:")} ${inst.text}`;
+    const deadline = inst.deadline
+      ? `   ${chalk.magentaBright(`Due: ${new Date(inst.deadline).toLocaleString()}`)}`
+      : "";
+    const repeat = inst.repeat
+      ? `   ${chalk.cyanBright(`🔁 Repeats: ${inst.repeat}`)}`
+      : "";
+    const notes = (inst.notes || [])
+      .slice(-CONFIG.NOTES_PREVIEW_COUNT)
+      .map((note) => `   ${chalk.gray(`📝 ${formatNote(note)}`)}`);
+    const hiddenNotes = (inst.notes || []).length - notes.length;
+    if (hiddenNotes > 0) {
+      notes.unshift(
+        `   ${chalk.gray(`📝 ...${hiddenNotes} earlier note(s), see 'inst show --id ${inst.id}'`)}`
+      );
+    }
+    const deleted = inst.isDeleted ? chalk.red.bold("   [DELETED]") : "";
+    const card = strikeIfCompleted(inst);
+
+    lines.push(indent + card(header));
+    lines.push(indent + card(text));
+    if (deadline) lines.push(indent + card(deadline));
+    if (repeat) lines.push(indent + card(repeat));
+    notes.forEach((note) => lines.push(indent + card(note)));
+    if (deleted) lines.push(indent + deleted);
+    lines.push(indent + card(chalk.gray("─".repeat(80 - indent.length))));
+  }
+  return lines;
+}
+
+function renderCompactView(rows, instructions) {
+  return rows.map(({ inst, depth }) => {
+    const progress = getSubtaskProgress(instructions, inst.id);
+    const prefix = `${"  ".repeat(depth)}${CONFIG.STATUS_SYMBOLS[inst.status] || " "} ${chalk.cyan(`#${inst.id}`)} ${priorityColor(inst)(inst.priority.charAt(0).toUpperCase())} ${chalk.yellow(inst.source)}: `;
+    const suffix = [
+      inst.deadline
+        ? chalk.magentaBright(`due ${formatShortDate(inst.deadline)}`)
+        : "",
+      inst.repeat ? chalk.cyanBright("🔁") : "",
+      progress.total > 0
+        ? chalk.magenta(`[${progress.done}/${progress.total}]`)
+        : "",
+      inst.tags?.length ? chalk.magentaBright(formatTags(inst.tags)) : "",
+      inst.isDeleted ? chalk.red.bold("[DELETED]") : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+    const room =
+      terminalWidth() -
+      stripAnsi(prefix).length -
+      (suffix ? stripAnsi(suffix).length + 1 : 0);
+    const text = fitToWidth(inst.text, Math.max(10, room)).trimEnd();
+    return strikeIfCompleted(inst)(
+      `${prefix}${text}${suffix ? ` ${suffix}` : ""}`
+    );
+  });
+}
+
+function renderTableView(rows) {
+  const columns = [
+    { title: "ID", get: ({ inst }) => String(inst.id), max: 6 },
+    { title: "Status", get: ({ inst }) => inst.status, max: 10 },
+    { title: "Priority", get: ({ inst }) => inst.priority, max: 8 },
+    { title: "Source", get: ({ inst }) => inst.source, max: 16 },
+    {
+      title: "Instruction",
+      get: ({ inst, depth }) =>
+        (depth > 0 ? `${"  ".repeat(depth - 1)}↳ ` : "") + inst.text,
+      flex: true,
+    },
+    {
+      title: "Due",
+      get: ({ inst }) => formatShortDate(inst.deadline),
+      max: 16,
+    },
+    { title: "Tags", get: ({ inst }) => formatTags(inst.tags), max: 20 },
+  ];
+  const separator = " │ ";
+  for (const column of columns) {
+    const longest = Math.max(
+      column.title.length,
+      ...rows.map((row) => Array.from(String(column.get(row))).length)
     );
+    column.width = column.flex ? longest : Math.min(longest, column.max);
   }
-  if (filters.deadline) {
-    filteredData = filteredData.filter((inst) => inst.deadline);
+  const fixedWidth = columns
+    .filter((column) => !column.flex)
+    .reduce((sum, column) => sum + column.width, 0);
+  const flexColumn = columns.find((column) => column.flex);
+  flexColumn.width = Math.max(
+    12,
+    Math.min(
+      flexColumn.width,
+      terminalWidth() - fixedWidth - separator.length * (columns.length - 1)
+    )
+  );
+
+  const lines = [
+    chalk.bold(
+      columns
+        .map((column) => fitToWidth(column.title, column.width))
+        .join(separator)
+    ),
+    chalk.gray(columns.map((column) => "─".repeat(column.width)).join("─┼─")),
+  ];
+  for (const row of rows) {
+    const { inst } = row;
+    const cells = columns.map((column) =>
+      fitToWidth(column.get(row), column.width)
+    );
+    cells[1] = statusColor(inst)(cells[1]);
+    cells[2] = priorityColor(inst)(cells[2]);
+    cells[3] = chalk.yellow(cells[3]);
+    cells[6] = chalk.magentaBright(cells[6]);
+    const line = cells.join(separator);
+    lines.push(
+      inst.isDeleted
+        ? chalk.red(stripAnsi(line))
+        : inst.status === "completed"
+          ? chalk.gray(stripAnsi(line))
+          : line
+    );
   }
-  if (!filters.all) {
-    filteredData = filteredData.filter((inst) => !inst.isDeleted);
+  return lines;
+}
+
+// Every stored field of one instruction, including its full note history.
+function renderInstructionDetail(inst, instructions) {
+  const lines = [];
+  const row = (label, value) =>
+    lines.push(`   ${chalk.cyan.bold(`${label}:`.padEnd(13))} ${value}`);
+  lines.push(
+    chalk.inverse.bold(`--- Instruction #${inst.id} ---`) +
+      (inst.isDeleted ? chalk.red.bold("  [DELETED]") : "")
+  );
+  lines.push("");
+  row("Instruction", inst.text);
+  row("Source", chalk.yellow(inst.source));
+  row("Priority", priorityColor(inst)(inst.priority));
+  row(
+    "Status",
+    `${CONFIG.STATUS_SYMBOLS[inst.status] || ""} ${statusColor(inst)(inst.status)}`
+  );
+  row("Tags", inst.tags?.length ? formatTags(inst.tags) : chalk.gray("none"));
+  row(
+    "Deadline",
+    inst.deadline
+      ? new Date(inst.deadline).toLocaleString()
+      : chalk.gray("none")
+  );
+  row("Repeats", inst.repeat || chalk.gray("no"));
+  if (inst.nextOccurrenceId) row("Next", `#${inst.nextOccurrenceId}`);
+  if (inst.parentId) row("Parent", `#${inst.parentId}`);
+  const progress = getSubtaskProgress(instructions, inst.id);
+  if (progress.total > 0) {
+    const childIds = getChildren(instructions, inst.id)
+      .filter((child) => !child.isDeleted)
+      .map((child) => `#${child.id}`);
+    row(
+      "Subtasks",
+      `${progress.done} of ${progress.total} done (${childIds.join(", ")})`
+    );
   }
+  row("Added", new Date(inst.added).toLocaleString());
+  if (inst.completedAt) {
+    row("Completed", new Date(inst.completedAt).toLocaleString());
+  }
+  row(
+    "Deleted",
+    inst.deletedAt
+      ? new Date(inst.deletedAt).toLocaleString()
+      : chalk.gray("no")
+  );
 
-  const hasDateFilter =
-    filters.date ||
-    filters.day ||
-    filters.month ||
-    filters.year ||
-    filters.week;
-  if (hasDateFilter) {
-    filteredData = filteredData.filter((inst) => {
-      const checkDate = (dateString) => {
-        if (!dateString) return false;
-        const date = new Date(dateString);
+  // Surface any fields that have no dedicated row above
+  const knownFields = [
+    "id",
+    "text",
+    "source",
+    "priority",
+    "status",
+    "tags",
+    "deadline",
+    "repeat",
+    "nextOccurrenceId",
+    "parentId",
+    "added",
+    "completedAt",
+    "isDeleted",
+    "deletedAt",
+    "notes",
+  ];
+  for (const [key, value] of Object.entries(inst)) {
+    if (!knownFields.includes(key)) row(key, JSON.stringify(value));
+  }
 
-        const dateMatch =
-          !filters.date ||
-          date.toISOString().slice(0, 10) ===
-            new Date(filters.date).toISOString().slice(0, 10);
-        const dayMatch =
-          !filters.day ||
-          getDayName(date).toLowerCase() === filters.day.toLowerCase();
-        const monthMatch =
-          !filters.month || date.getMonth() + 1 === filters.month;
-        const yearMatch = !filters.year || date.getFullYear() === filters.year;
-        const weekMatch =
-          !filters.week || getWeekOfMonth(date) === filters.week;
+  const notes = inst.notes || [];
+  lines.push(chalk.bold(`\n   Notes (${notes.length}):`));
+  if (notes.length === 0) {
+    lines.push(chalk.gray(`     No notes yet. Add one with 'inst note'.`));
+  }
+  notes.forEach((note) => lines.push(`     ${formatNote(note)}`));
+  lines.push(chalk.gray("─".repeat(80)));
+  return lines;
+}
+
+const renderDetailView = (rows, instructions) =>
+  rows.flatMap(({ inst }) => [
+    ...renderInstructionDetail(inst, instructions),
+    "",
+  ]);
+
+const VIEW_RENDERERS = {
+  cards: renderCardView,
+  table: renderTableView,
+  compact: renderCompactView,
+  detail: renderDetailView,
+};
+
+// --- CSV Import and Export ---
+const formatCsvDate = (value) =>
+  value ? new Date(value).toLocaleString() : "";
+
+function parseCsvDate(cell) {
+  if (!cell.trim()) return null;
+  const date = new Date(cell);
+  const parsed = isNaN(date) ? chrono.parseDate(cell) : date;
+  if (!parsed) throw new Error(`could not parse "${cell}" as a date`);
+  return parsed.toISOString();
+}
+
+function parseCsvChoice(cell, option, fallback) {
+  const value = cell.trim().toLowerCase();
+  if (!value) return fallback;
+  if (!optionChoices[option].includes(value)) {
+    throw new Error(
+      `"${cell}" is not one of ${optionChoices[option].join(", ")}`
+    );
+  }
+  return value;
+}
+
+function parseCsvRequiredText(cell) {
+  if (!cell.trim()) throw new Error("cannot be empty");
+  return cell.trim();
+}
+
+// Notes are exported one per line as "[date] text"; other lines continue the
+// previous note so multi-line notes survive the round trip.
+function parseNoteLines(text) {
+  const notes = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\[(.+?)\] (.*)$/);
+    const added = match && new Date(match[1]);
+    if (added && !isNaN(added)) {
+      notes.push({ text: match[2], added: added.toISOString() });
+    } else if (notes.length > 0) {
+      notes[notes.length - 1].text += `\n${line}`;
+    } else if (line.trim()) {
+      notes.push({ text: line, added: new Date().toISOString() });
+    }
+  }
+  return notes;
+}
+
+// Column layout shared by `export --format csv` and `import --format csv`
+const CSV_COLUMNS = [
+  { header: "ID", toCell: (inst) => inst.id },
+  {
+    header: "Source",
+    field: "source",
+    toCell: (inst) => inst.source,
+    fromCell: parseCsvRequiredText,
+  },
+  {
+    header: "Instruction",
+    field: "text",
+    toCell: (inst) => inst.text,
+    fromCell: parseCsvRequiredText,
+  },
+  {
+    header: "Priority",
+    field: "priority",
+    toCell: (inst) => inst.priority,
+    fromCell: (cell) => parseCsvChoice(cell, "priority", "normal"),
+  },
+  {
+    header: "Status",
+    field: "status",
+    toCell: (inst) => inst.status,
+    fromCell: (cell) => parseCsvChoice(cell, "status", "pending"),
+  },
+  {
+    header: "Deadline",
+    field: "deadline",
+    toCell: (inst) => formatCsvDate(inst.deadline),
+    fromCell: parseCsvDate,
+  },
+  {
+    header: "Added",
+    field: "added",
+    toCell: (inst) => formatCsvDate(inst.added),
+    fromCell: (cell) => parseCsvDate(cell) ?? undefined,
+  },
+  {
+    header: "IsDeleted",
+    field: "isDeleted",
+    toCell: (inst) => inst.isDeleted,
+    fromCell: (cell) =>
+      ["true", "yes", "1"].includes(cell.trim().toLowerCase()),
+  },
+  {
+    header: "DeletedAt",
+    field: "deletedAt",
+    toCell: (inst) => formatCsvDate(inst.deletedAt),
+    fromCell: parseCsvDate,
+  },
+  {
+    header: "Tags",
+    field: "tags",
+    toCell: (inst) => (inst.tags || []).join(", "),
+    fromCell: (cell) => normalizeTags(cell),
+  },
+  {
+    header: "Notes",
+    field: "notes",
+    toCell: (inst) => (inst.notes || []).map(formatNote).join("\n"),
+    fromCell: parseNoteLines,
+  },
+];
+
+const escapeCsv = (text) => `"${String(text ?? "").replace(/"/g, '""')}"`;
+
+function buildCsv(instructions) {
+  const headers = CSV_COLUMNS.map((column) => column.header).join(",");
+  // Use the same parent-first order as 'show' and the PDF report
+  const rows = flattenInstructionTree(instructions).map(({ inst }) =>
+    CSV_COLUMNS.map((column) => escapeCsv(column.toCell(inst))).join(",")
+  );
+  return "\uFEFF" + [headers, ...rows].join("\n");
+}
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180: quoted cells may contain
+ * commas, doubled quotes and line breaks).
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (inQuotes) throw new Error("Invalid CSV file: unterminated quoted cell");
+  if (cell || row.length > 0) rows.push([...row, cell]);
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * Reads an exported CSV back into import records ({ row, id, fields }).
+ * Row-level problems are collected so they can all be reported at once.
+ */
+function parseCsvImport(text) {
+  const [headerRow, ...rows] = parseCsv(text);
+  if (!headerRow) throw new Error("Invalid CSV file: the file is empty");
+  const columns = headerRow.map((header) =>
+    CSV_COLUMNS.find(
+      (column) => column.header.toLowerCase() === header.trim().toLowerCase()
+    )
+  );
+  const missing = ["Source", "Instruction"].filter(
+    (header) => !columns.some((column) => column?.header === header)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Invalid CSV file: missing required column(s) ${missing.join(", ")}`
+    );
+  }
+
+  const records = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const row = index + 2;
+    const record = { row, id: null, fields: {} };
+    try {
+      columns.forEach((column, columnIndex) => {
+        const cell = cells[columnIndex] ?? "";
+        if (!column) return;
+        if (column.header === "ID") {
+          if (!cell.trim()) return;
+          record.id = Number(cell);
+          if (!Number.isInteger(record.id) || record.id < 1) {
+            throw new Error(`ID: "${cell}" is not a positive whole number`);
+          }
+          return;
+        }
+        try {
+          const value = column.fromCell(cell);
+          if (value !== undefined) record.fields[column.field] = value;
+        } catch (error) {
+          throw new Error(`${column.header}: ${error.message}`);
+        }
+      });
+      records.push(record);
+    } catch (error) {
+      errors.push(`Row ${row}: ${error.message}`);
+    }
+  });
+  return { records, errors };
+}
+
+// --- JSON Import and Export ---
+function buildJsonExport(instructions, title) {
+  return JSON.stringify(
+    {
+      schemaVersion: CONFIG.EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      title,
+      count: instructions.length,
+      instructions: flattenInstructionTree(instructions).map(
+        ({ inst }) => inst
+      ),
+    },
+    null,
+    2
+  );
+}
+
+function parseJsonRecord(item) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    throw new Error("expected an object");
+  }
+  const { id = null, ...fields } = item;
+  if (id !== null && (!Number.isInteger(id) || id < 1)) {
+    throw new Error(`id: ${JSON.stringify(id)} is not a positive whole number`);
+  }
+  for (const field of ["source", "text"]) {
+    if (typeof fields[field] !== "string" || !fields[field].trim()) {
+      throw new Error(`${field}: must be a non-empty string`);
+    }
+  }
+  for (const option of ["priority", "status"]) {
+    if (
+      fields[option] !== undefined &&
+      !optionChoices[option].includes(fields[option])
+    ) {
+      throw new Error(
+        `${option}: ${JSON.stringify(fields[option])} is not one of ${optionChoices[option].join(", ")}`
+      );
+    }
+  }
+  for (const field of ["added", "deadline", "deletedAt"]) {
+    if (fields[field] != null && isNaN(new Date(fields[field]))) {
+      throw new Error(
+        `${field}: ${JSON.stringify(fields[field])} is not a date`
+      );
+    }
+  }
+  if (fields.repeat != null && !parseRecurrence(String(fields.repeat))) {
+    throw new Error(`repeat: "${fields.repeat}" is not a repeat rule`);
+  }
+  if (fields.tags !== undefined) {
+    if (!Array.isArray(fields.tags)) throw new Error("tags: must be a list");
+    fields.tags = normalizeTags(fields.tags);
+  }
+  if (
+    fields.notes !== undefined &&
+    (!Array.isArray(fields.notes) ||
+      fields.notes.some((note) => typeof note?.text !== "string"))
+  ) {
+    throw new Error("notes: must be a list of { text, added } entries");
+  }
+  return { id, fields };
+}
+
+/**
+ * Reads a `export --format json` file (or a bare list of records such as a
+ * copy of inst.json) into import records.
+ */
+function parseJsonImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch (error) {
+    throw new Error(`Invalid JSON file: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.instructions;
+  if (!Array.isArray(list)) {
+    throw new Error("Invalid JSON file: expected an 'instructions' list");
+  }
+  if (data.schemaVersion > CONFIG.EXPORT_SCHEMA_VERSION) {
+    throw new Error(
+      `This file uses schema version ${data.schemaVersion}, but this version of inst reads up to ${CONFIG.EXPORT_SCHEMA_VERSION}. Please upgrade inst.`
+    );
+  }
+
+  const records = [];
+  const errors = [];
+  list.forEach((item, index) => {
+    try {
+      records.push(parseJsonRecord(item));
+    } catch (error) {
+      errors.push(`Record ${index + 1}: ${error.message}`);
+    }
+  });
+  return { records, errors };
+}
+
+// --- Markdown Export ---
+const MARKDOWN_PRIORITY_BADGES = {
+  high: "🔴 High",
+  medium: "🟡 Medium",
+  low: "🟢 Low",
+  normal: "⚪ Normal",
+};
+
+const escapeMarkdown = (text) =>
+  String(text ?? "")
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/([\\`*_[\]<>#|~])/g, "\\$1");
+
+function formatMarkdownItem(inst, instructions, depth) {
+  const checkbox = inst.status === "completed" ? "[x]" : "[ ]";
+  const text = inst.isDeleted
+    ? `~~${escapeMarkdown(inst.text)}~~ _(deleted)_`
+    : `**${escapeMarkdown(inst.text)}**`;
+  const details = [MARKDOWN_PRIORITY_BADGES[inst.priority] || inst.priority];
+  if (!["pending", "completed"].includes(inst.status)) {
+    details.push(`_${inst.status}_`);
+  }
+  if (inst.deadline) {
+    const overdue =
+      inst.status !== "completed" && new Date(inst.deadline) < new Date();
+    details.push(
+      `📅 Due ${formatShortDate(inst.deadline)}${overdue ? " ⚠️ overdue" : ""}`
+    );
+  }
+  if (inst.repeat) details.push(`🔁 ${escapeMarkdown(inst.repeat)}`);
+  const progress = getSubtaskProgress(instructions, inst.id);
+  if (progress.total > 0)
+    details.push(`${progress.done}/${progress.total} done`);
+  if (inst.tags?.length) {
+    details.push(inst.tags.map((tag) => `\`#${tag}\``).join(" "));
+  }
+  return `${"  ".repeat(depth)}- ${checkbox} ${text} · ${details.join(" · ")}`;
+}
+
+/**
+ * Builds a GitHub-flavoured Markdown checklist grouped by source. Subtasks are
+ * nested under their parent, inside the parent's source group.
+ */
+function buildMarkdown(instructions, title) {
+  const groups = new Map();
+  let groupSource;
+  for (const { inst, depth } of flattenInstructionTree(instructions)) {
+    if (depth === 0) groupSource = inst.source;
+    if (!groups.has(groupSource)) groups.set(groupSource, []);
+    groups.get(groupSource).push(formatMarkdownItem(inst, instructions, depth));
+  }
+  const completed = instructions.filter(
+    (inst) => inst.status === "completed"
+  ).length;
+  const lines = [
+    `# ${escapeMarkdown(title)}`,
+    "",
+    `_${instructions.length} instruction${instructions.length === 1 ? "" : "s"} · ${completed} completed · exported ${formatShortDate(new Date().toISOString())}_`,
+  ];
+  for (const [source, items] of groups) {
+    lines.push("", `## ${escapeMarkdown(source)}`, "", ...items);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// --- iCalendar (ICS) Import and Export ---
+// RFC 5545 priorities run 1 (highest) to 9 (lowest); 0 means undefined.
+const ICS_PRIORITY_BY_RANK = { 1: 1, 2: 5, 3: 9, 4: 0 };
+const ICS_STATUSES = {
+  pending: "NEEDS-ACTION",
+  processing: "IN-PROCESS",
+  paused: "NEEDS-ACTION",
+  completed: "COMPLETED",
+};
+
+const escapeIcsText = (text) =>
+  String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeIcsText = (text) =>
+  text.replace(/\\([\\;,nN])/g, (_match, char) =>
+    char.toLowerCase() === "n" ? "\n" : char
+  );
+
+const formatIcsDate = (value) =>
+  new Date(value)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets are folded onto continuation lines.
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const icsUid = (inst) =>
+  `inst-${inst.id}-${new Date(inst.added).getTime() || 0}@inst-cli`;
+
+function buildIcs(instructions, title) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//inst//Instruction CLI//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeIcsText(title)}`,
+  ];
+  const byId = new Map(instructions.map((inst) => [inst.id, inst]));
+  const stamp = formatIcsDate(new Date());
+  for (const inst of instructions) {
+    lines.push(
+      "BEGIN:VTODO",
+      `UID:${icsUid(inst)}`,
+      `DTSTAMP:${stamp}`,
+      `SUMMARY:${escapeIcsText(inst.text)}`,
+      `STATUS:${inst.isDeleted ? "CANCELLED" : ICS_STATUSES[inst.status] || "NEEDS-ACTION"}`,
+      `PRIORITY:${ICS_PRIORITY_BY_RANK[CONFIG.PRIORITY_ORDER[inst.priority]] ?? 0}`,
+      `X-INST-SOURCE:${escapeIcsText(inst.source)}`,
+      `X-INST-STATUS:${inst.status}`
+    );
+    if (inst.added) lines.push(`CREATED:${formatIcsDate(inst.added)}`);
+    if (inst.deadline) lines.push(`DUE:${formatIcsDate(inst.deadline)}`);
+    if (inst.tags?.length) {
+      lines.push(`CATEGORIES:${inst.tags.map(escapeIcsText).join(",")}`);
+    }
+    if (inst.notes?.length) {
+      lines.push(
+        `DESCRIPTION:${escapeIcsText(inst.notes.map(formatNote).join("\n"))}`
+      );
+    }
+    if (inst.repeat) lines.push(`X-INST-REPEAT:${escapeIcsText(inst.repeat)}`);
+    if (byId.has(inst.parentId)) {
+      lines.push(
+        `RELATED-TO;RELTYPE=PARENT:${icsUid(byId.get(inst.parentId))}`
+      );
+    }
+    lines.push("END:VTODO");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// Parses "NAME;PARAM=VALUE:content", ignoring colons inside quoted params.
+function parseIcsLine(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      const [name, ...params] = line.slice(0, i).split(";");
+      return {
+        name: name.toUpperCase(),
+        params: params.join(";"),
+        value: line.slice(i + 1),
+      };
+    }
+  }
+  return null;
+}
+
+// The UTC instant at which a zone's clocks show `parts`. The second pass
+// corrects the offset guess around daylight-saving changes.
+function zonedTimeToUtc(parts, timeZone) {
+  const format = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  });
+  const offsetAt = (ms) => {
+    const shown = Object.fromEntries(
+      format
+        .formatToParts(new Date(ms))
+        .map(({ type, value }) => [type, Number(value)])
+    );
+    return (
+      Date.UTC(
+        shown.year,
+        shown.month - 1,
+        shown.day,
+        shown.hour,
+        shown.minute,
+        shown.second
+      ) - ms
+    );
+  };
+  const wallTime = Date.UTC(...parts);
+  const guess = wallTime - offsetAt(wallTime);
+  return new Date(wallTime - offsetAt(guess));
+}
+
+// Accepts UTC ("...Z"), TZID-zoned, floating local and all-day (DATE) values.
+function parseIcsDate(value, params = "") {
+  const match = value
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) throw new Error(`could not parse "${value}" as a date`);
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0, utc] = match;
+  const parts = [year, month - 1, day, hours, minutes, seconds].map(Number);
+  const timeZone = params.match(/(?:^|;)TZID="?([^";]+)"?/i)?.[1];
+  if (utc) return new Date(Date.UTC(...parts)).toISOString();
+  if (timeZone && match[4] !== undefined) {
+    try {
+      return zonedTimeToUtc(parts, timeZone).toISOString();
+    } catch {
+      throw new Error(
+        `unknown time zone "${timeZone}"; export the calendar with UTC or IANA (e.g. Europe/Berlin) times`
+      );
+    }
+  }
+  return new Date(...parts).toISOString();
+}
+
+function icsPriorityToInst(value) {
+  const rank = Number(value);
+  if (rank >= 1 && rank <= 4) return "high";
+  if (rank === 5) return "medium";
+  if (rank >= 6 && rank <= 9) return "low";
+  return "normal";
+}
+
+const icsIdFromUid = (uid) => {
+  const match = uid?.match(/^inst-(\d+)-/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Reads VTODO and VEVENT items from an .ics file into import records. Files
+ * written by `export --format ics` keep their IDs, sources and statuses; for
+ * other calendars the calendar name becomes the source.
+ */
+function parseIcsImport(text) {
+  const lines = text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    throw new Error("Invalid ICS file: no BEGIN:VCALENDAR found");
+  }
+  let calendarName = null;
+  const items = [];
+  let current = null;
+  for (const line of lines) {
+    const property = parseIcsLine(line.trim());
+    if (!property) continue;
+    const value = property.value.trim().toUpperCase();
+    if (property.name === "BEGIN" && ["VTODO", "VEVENT"].includes(value)) {
+      current = { kind: value, properties: {} };
+    } else if (property.name === "END" && current && value === current.kind) {
+      items.push(current);
+      current = null;
+    } else if (current) {
+      current.properties[property.name] ??= property;
+    } else if (property.name === "X-WR-CALNAME") {
+      calendarName = unescapeIcsText(property.value).trim();
+    }
+  }
+
+  const records = [];
+  const errors = [];
+  items.forEach(({ kind, properties }, index) => {
+    const get = (name) => properties[name]?.value;
+    try {
+      const summary = unescapeIcsText(get("SUMMARY") || "").trim();
+      if (!summary) throw new Error("SUMMARY: cannot be empty");
+      const fields = {
+        source:
+          unescapeIcsText(get("X-INST-SOURCE") || "").trim() ||
+          calendarName ||
+          "Calendar",
+        text: summary,
+        priority: icsPriorityToInst(get("PRIORITY")),
+      };
+      const status = (get("STATUS") || "").toUpperCase();
+      const instStatus = get("X-INST-STATUS");
+      fields.status = optionChoices.status.includes(instStatus)
+        ? instStatus
+        : status === "COMPLETED"
+          ? "completed"
+          : status === "IN-PROCESS"
+            ? "processing"
+            : "pending";
+      if (status === "CANCELLED") {
+        fields.isDeleted = true;
+        fields.deletedAt = new Date().toISOString();
+      }
+      const dateFields = {
+        deadline: kind === "VTODO" ? "DUE" : "DTSTART",
+        added: "CREATED",
+      };
+      for (const [field, name] of Object.entries(dateFields)) {
+        if (!get(name)) continue;
+        try {
+          fields[field] = parseIcsDate(get(name), properties[name].params);
+        } catch (error) {
+          throw new Error(`${name}: ${error.message}`);
+        }
+      }
+      if (get("CATEGORIES")) {
+        fields.tags = normalizeTags(unescapeIcsText(get("CATEGORIES")));
+      }
+      if (get("DESCRIPTION")) {
+        fields.notes = parseNoteLines(unescapeIcsText(get("DESCRIPTION")));
+      }
+      const repeat = unescapeIcsText(get("X-INST-REPEAT") || "");
+      if (repeat && parseRecurrence(repeat)) fields.repeat = repeat;
+      const parentId = icsIdFromUid(get("RELATED-TO"));
+      if (
+        parentId &&
+        !/RELTYPE=(?!PARENT)/i.test(properties["RELATED-TO"].params)
+      ) {
+        fields.parentId = parentId;
+      }
+      // Items from other calendars keep their UID so a re-import updates them
+      const uid = get("UID")?.trim();
+      const id = icsIdFromUid(uid);
+      if (id === null && uid) fields.icsUid = uid;
+      records.push({
+        id,
+        fields,
+        matchOn: id === null && uid ? "icsUid" : null,
+      });
+    } catch (error) {
+      errors.push(`Item ${index + 1}: ${error.message}`);
+    }
+  });
+  return { records, errors };
+}
 
-        return dateMatch && dayMatch && monthMatch && yearMatch && weekMatch;
-      };
-      return checkDate(inst.added) || checkDate(inst.deadline);
-    });
-  }
+// --- todo.txt Import and Export ---
+// Keys this tool writes itself; any other key:value is kept in todoTxtExtensions
+const TODOTXT_KEYS = ["id", "parent", "due", "pri", "status"];
 
-  return filteredData;
+// (A) is the highest priority, following CONFIG.PRIORITY_ORDER
+const todoTxtPriority = (priority) =>
+  String.fromCharCode(64 + (CONFIG.PRIORITY_ORDER[priority] || 4));
+const priorityFromTodoTxt = (letter) =>
+  Object.keys(CONFIG.PRIORITY_ORDER).find(
+    (priority) => todoTxtPriority(priority) === letter
+  ) || "normal";
+
+const todoTxtProject = (source) => String(source).trim().replace(/\s+/g, "_");
+
+const formatTodoTxtDate = (value) => formatShortDate(value).slice(0, 10);
+
+function parseTodoTxtDate(value) {
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new Error(`"${value}" is not a valid date`);
+  }
+  return date.toISOString();
 }
 
-function generateFileNameAndTitle(options) {
-  const titleParts = [];
-  const filenameParts = [];
+function buildTodoTxt(instructions) {
+  const lines = flattenInstructionTree(instructions).map(({ inst }) => {
+    const priority = todoTxtPriority(inst.priority);
+    const parts =
+      inst.status === "completed"
+        ? [
+            "x",
+            formatTodoTxtDate(inst.completedAt || inst.added),
+            formatTodoTxtDate(inst.added),
+          ]
+        : [`(${priority})`, formatTodoTxtDate(inst.added)];
+    parts.push(
+      String(inst.text).replace(/\s+/g, " ").trim(),
+      `+${todoTxtProject(inst.source)}`,
+      ...(inst.tags || []).map((tag) => `@${tag}`)
+    );
+    if (inst.status === "completed") parts.push(`pri:${priority}`);
+    if (inst.deadline) parts.push(`due:${formatTodoTxtDate(inst.deadline)}`);
+    if (["processing", "paused"].includes(inst.status)) {
+      parts.push(`status:${inst.status}`);
+    }
+    parts.push(`id:${inst.id}`);
+    if (inst.parentId) parts.push(`parent:${inst.parentId}`);
+    for (const [key, value] of Object.entries(inst.todoTxtExtensions || {})) {
+      parts.push(`${key}:${value}`);
+    }
+    return parts.join(" ");
+  });
+  return lines.join("\n") + "\n";
+}
 
-  const getWeekSuffix = (week) => {
-    if (week === 1) return "1st";
-    if (week === 2) return "2nd";
-    if (week === 3) return "3rd";
-    return `${week}th`;
+function parseTodoTxtLine(line) {
+  const fields = {};
+  const matches = {};
+  const extensions = {};
+  let rest = line.trim();
+  const take = (pattern) => {
+    const match = rest.match(pattern);
+    if (match) rest = rest.slice(match[0].length);
+    return match;
+  };
+  const takeDate = (field) => {
+    const match = take(/^(\d{4}-\d{2}-\d{2})\s+/);
+    if (!match) return;
+    fields[field] = parseTodoTxtDate(match[1]);
+    matches[field] = (value) => formatTodoTxtDate(value) === match[1];
   };
 
-  if (options.date) {
-    titleParts.push(`for ${options.date}`);
-    filenameParts.push(options.date);
+  let priorityLetter = null;
+  if (take(/^x\s+/)) {
+    fields.status = "completed";
+    takeDate("completedAt");
   } else {
-    const timeParts = [];
-    if (options.day) timeParts.push(options.day);
-    if (options.week) timeParts.push(`the ${getWeekSuffix(options.week)} week`);
-    if (options.month) timeParts.push(`of ${getMonthName(options.month)}`);
-    if (options.year) timeParts.push(String(options.year));
-    if (timeParts.length > 0) {
-      titleParts.push(`for ${timeParts.join(" ")}`);
-      filenameParts.push(
-        ...timeParts.map((p) => p.toLowerCase().replace(/ /g, "-"))
-      );
+    priorityLetter = take(/^\(([A-Z])\)\s+/)?.[1] ?? null;
+  }
+  takeDate("added");
+
+  let id = null;
+  const words = [];
+  const tags = [];
+  for (const token of rest.split(/\s+/).filter(Boolean)) {
+    const extension = token.match(/^([A-Za-z][\w-]*):([^\s/][^\s]*)$/);
+    if (token.startsWith("+") && token.length > 1 && !fields.source) {
+      fields.source = token.slice(1);
+      matches.source = (value) => todoTxtProject(value) === fields.source;
+    } else if (token.startsWith("@") && token.length > 1) {
+      tags.push(token.slice(1));
+    } else if (!extension) {
+      words.push(token);
+    } else if (!TODOTXT_KEYS.includes(extension[1])) {
+      extensions[extension[1]] = extension[2];
+    } else {
+      const [, key, value] = extension;
+      if (key === "id" || key === "parent") {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+          throw new Error(`${key}: "${value}" is not a positive whole number`);
+        }
+        if (key === "id") id = number;
+        else fields.parentId = number;
+      } else if (key === "due") {
+        fields.deadline = parseTodoTxtDate(value);
+        matches.deadline = (deadline) =>
+          Boolean(deadline) && formatTodoTxtDate(deadline) === value;
+      } else if (key === "pri" && /^[A-Z]$/.test(value)) {
+        priorityLetter = value;
+      } else if (key === "status" && fields.status !== "completed") {
+        if (!optionChoices.status.includes(value)) {
+          throw new Error(
+            `status: "${value}" is not one of ${optionChoices.status.join(", ")}`
+          );
+        }
+        fields.status = value;
+      }
     }
   }
 
-  let title =
-    titleParts.length > 0
-      ? `Instructions ${titleParts.join(", ")}`
-      : "All Instructions";
-  let filename =
-    filenameParts.length > 0 ? `inst_${filenameParts.join("_")}` : "inst_all";
+  fields.text = words.join(" ");
+  if (!fields.text) throw new Error("the task has no text");
+  matches.text = (value) =>
+    String(value).replace(/\s+/g, " ").trim() === fields.text;
+  fields.source ??= "todo.txt";
+  fields.status ??= "pending";
+  fields.priority = priorityLetter
+    ? priorityFromTodoTxt(priorityLetter)
+    : "normal";
+  fields.tags = normalizeTags(tags);
+  fields.todoTxtExtensions =
+    Object.keys(extensions).length > 0 ? extensions : undefined;
+  matches.todoTxtExtensions = (value) =>
+    comparableValue(value || {}) === comparableValue(extensions);
+  return { id, fields, matches };
+}
 
-  if (options.priority) {
-    title += `, ${options.priority} priority`;
-    filename += `_${options.priority}-priority`;
-  }
-  if (options.source) {
-    title += `, from ${options.source}`;
-    filename += `_from-${options.source.replace(/ /g, "-")}`;
-  }
-  if (options.status) {
-    title += `, with status ${options.status}`;
-    filename += `_${options.status}`;
+/**
+ * Reads a todo.txt file (one task per line) into import records. Dates in
+ * todo.txt have no time, so they count as unchanged when the day matches.
+ */
+function parseTodoTxtImport(text) {
+  const records = [];
+  const errors = [];
+  text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        records.push(parseTodoTxtLine(line));
+      } catch (error) {
+        errors.push(`Line ${index + 1}: ${error.message}`);
+      }
+    });
+  return { records, errors };
+}
+
+// --- HTML Report Export ---
+// Printable equivalents of the terminal palette in CONFIG.*_COLORS
+const HTML_COLORS = {
+  priority: { high: "#c62828", medium: "#b7791f", low: "#2e7d32", normal: "" },
+  status: {
+    completed: "#2e7d32",
+    processing: "#1565c0",
+    paused: "#b7791f",
+    pending: "",
+  },
+};
+
+const escapeHtml = (text) =>
+  String(text ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+
+const HTML_REPORT_STYLE = `
+  body { font: 14px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif; color: #222; margin: 24px; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  .meta { color: #666; margin-bottom: 16px; }
+  .summary { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px; }
+  .summary span { border: 1px solid #ddd; border-radius: 6px; padding: 4px 10px; }
+  .controls { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+  .controls input, .controls select { font: inherit; padding: 4px 8px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #e3e3e3; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f5f5f5; cursor: pointer; user-select: none; white-space: nowrap; }
+  th[data-dir="asc"]::after { content: " ▲"; }
+  th[data-dir="desc"]::after { content: " ▼"; }
+  td.text { white-space: pre-wrap; word-break: break-word; min-width: 240px; }
+  td.nowrap { white-space: nowrap; }
+  .strong { font-weight: 600; }
+  .tag { color: #8e24aa; margin-right: 4px; }
+  .note { color: #555; font-size: 12px; margin-top: 4px; }
+  .subtask { color: #999; }
+  tr.completed td.text { text-decoration: line-through; color: #777; }
+  tr.deleted td { color: #c62828; text-decoration: line-through; }
+  @media print {
+    body { margin: 0; font-size: 11px; }
+    .controls { display: none; }
+    th { cursor: default; }
+    th::after { content: "" !important; }
+    tr { break-inside: avoid; }
+    tr[hidden] { display: none; }
   }
-  if (options.deadline) {
-    title += ", with deadlines";
-    filename += "_with-deadline";
+`;
+
+// Sorting and filtering run in the browser; no network access is needed.
+const HTML_REPORT_SCRIPT = `
+  const table = document.querySelector("table");
+  const rows = Array.from(table.tBodies[0].rows);
+  const search = document.getElementById("search");
+  const statusFilter = document.getElementById("status");
+  const priorityFilter = document.getElementById("priority");
+  function applyFilters() {
+    const query = search.value.trim().toLowerCase();
+    let shown = 0;
+    rows.forEach((row) => {
+      const visible =
+        (!query || row.textContent.toLowerCase().includes(query)) &&
+        (!statusFilter.value || row.dataset.status === statusFilter.value) &&
+        (!priorityFilter.value || row.dataset.priority === priorityFilter.value);
+      row.hidden = !visible;
+      if (visible) shown++;
+    });
+    document.getElementById("shown").textContent = shown;
   }
-  if (options.all) {
-    title += " (including deleted)";
-    filename += "_including-deleted";
+  [search, statusFilter, priorityFilter].forEach((input) =>
+    input.addEventListener("input", applyFilters)
+  );
+  table.querySelectorAll("th").forEach((header, column) => {
+    header.addEventListener("click", () => {
+      const dir = header.dataset.dir === "asc" ? "desc" : "asc";
+      table.querySelectorAll("th").forEach((th) => delete th.dataset.dir);
+      header.dataset.dir = dir;
+      const key = (row) => row.cells[column].dataset.sort ?? row.cells[column].textContent;
+      rows
+        .sort((a, b) => {
+          const x = key(a), y = key(b);
+          const result = x === "" ? 1 : y === "" ? -1 :
+            x.localeCompare(y, undefined, { numeric: true, sensitivity: "base" });
+          return dir === "asc" || x === "" || y === "" ? result : -result;
+        })
+        .forEach((row) => table.tBodies[0].appendChild(row));
+    });
+  });
+`;
+
+function formatHtmlRow({ inst, depth }, instructions) {
+  const priorityColor = HTML_COLORS.priority[inst.priority];
+  const statusColor = HTML_COLORS.status[inst.status];
+  const progress = getSubtaskProgress(instructions, inst.id);
+  const notes = (inst.notes || [])
+    .map((note) => `<div class="note">📝 ${escapeHtml(formatNote(note))}</div>`)
+    .join("");
+  const cell = (content, sort, className = "nowrap") =>
+    `<td class="${className}"${sort === undefined ? "" : ` data-sort="${escapeHtml(sort)}"`}>${content}</td>`;
+  const classes = [
+    inst.status === "completed" ? "completed" : "",
+    inst.isDeleted ? "deleted" : "",
+  ].join(" ");
+  return `<tr class="${classes.trim()}" data-status="${escapeHtml(inst.status)}" data-priority="${escapeHtml(inst.priority)}">${[
+    cell(inst.id, String(inst.id)),
+    cell(
+      `<span class="strong" style="color:${statusColor}">${escapeHtml(inst.status)}</span>`,
+      String(CONFIG.STATUS_ORDER[inst.status] ?? 9)
+    ),
+    cell(
+      `<span class="strong" style="color:${priorityColor}">${escapeHtml(inst.priority)}</span>`,
+      String(CONFIG.PRIORITY_ORDER[inst.priority] ?? 9)
+    ),
+    cell(escapeHtml(inst.source), undefined, ""),
+    cell(
+      `${depth > 0 ? `<span class="subtask">${"&nbsp;&nbsp;".repeat(depth)}↳ </span>` : ""}${escapeHtml(inst.text)}${progress.total > 0 ? ` <span class="subtask">(${progress.done}/${progress.total} done)</span>` : ""}${inst.repeat ? ` <span class="subtask">🔁 ${escapeHtml(inst.repeat)}</span>` : ""}${notes}`,
+      inst.text,
+      "text"
+    ),
+    cell(formatShortDate(inst.deadline), inst.deadline || ""),
+    cell(
+      (inst.tags || [])
+        .map((tag) => `<span class="tag">#${escapeHtml(tag)}</span>`)
+        .join(""),
+      undefined,
+      ""
+    ),
+    cell(formatShortDate(inst.added), inst.added || ""),
+  ].join("")}</tr>`;
+}
+
+/**
+ * Builds a single offline HTML file (inline CSS and JS) with a sortable,
+ * filterable table and a per-status summary.
+ */
+function buildHtmlReport(instructions, title) {
+  const statusCounts = Object.keys(CONFIG.STATUS_ORDER).map(
+    (status) =>
+      `<span><b style="color:${HTML_COLORS.status[status]}">${escapeHtml(status)}</b>: ${instructions.filter((inst) => inst.status === status).length}</span>`
+  );
+  const deletedCount = instructions.filter((inst) => inst.isDeleted).length;
+  if (deletedCount > 0) {
+    statusCounts.push(`<span><b>deleted</b>: ${deletedCount}</span>`);
   }
+  const options = (values) =>
+    values
+      .map((value) => `<option value="${value}">${value}</option>`)
+      .join("");
+  const headers = [
+    "ID",
+    "Status",
+    "Priority",
+    "Source",
+    "Instruction",
+    "Due",
+    "Tags",
+    "Added",
+  ];
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Generated ${escapeHtml(new Date().toLocaleString())} · <span id="shown">${instructions.length}</span> of ${instructions.length} shown</div>
+<div class="summary">${statusCounts.join("")}</div>
+<div class="controls">
+  <input id="search" type="search" placeholder="Filter text, source, tags, notes…">
+  <select id="status"><option value="">All statuses</option>${options(optionChoices.status)}</select>
+  <select id="priority"><option value="">All priorities</option>${options(optionChoices.priority)}</select>
+</div>
+<table>
+<thead><tr>${headers.map((header) => `<th>${header}</th>`).join("")}</tr></thead>
+<tbody>
+${flattenInstructionTree(instructions)
+  .map((row) => formatHtmlRow(row, instructions))
+  .join("\n")}
+</tbody>
+</table>
+<script>${HTML_REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
 
-  filename = filename.replace("inst_all_", "inst_");
-  title = title.replace("All Instructions, ", "Instructions ");
+// --- Importing ---
+const IMPORT_PARSERS = {
+  csv: parseCsvImport,
+  json: parseJsonImport,
+  ics: parseIcsImport,
+  todotxt: parseTodoTxtImport,
+};
 
-  return { titleLabel: title, filenameLabel: filename };
+function detectImportFormat(filePath) {
+  if (/todo\.txt$/i.test(filePath)) return "todotxt";
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return CONFIG.IMPORT_FORMATS.includes(extension) ? extension : null;
 }
 
-function validateFilterOptions(options) {
-  if (options.date) {
+// Exports round timestamps to the second and drop empty lists, so compare the
+// way they would be written to avoid reporting phantom changes.
+const comparableValue = (value) =>
+  JSON.stringify(value ?? null, (_key, item) => {
+    if (Array.isArray(item) && item.length === 0) return null;
+    if (typeof item === "string" && /^\d{4}-\d\d-\d\dT[\d:.]+Z$/.test(item)) {
+      return item.slice(0, 19);
+    }
+    return item;
+  });
+
+/**
+ * Applies import records to `instructions` in place.
+ * - "merge": a record whose ID exists (and was created at the same time)
+ *   updates that instruction; an ID taken by a different instruction is
+ *   reassigned. Records without an inst ID may name a field to match on
+ *   instead (`matchOn`).
+ * - "append": every record is added under a fresh ID.
+ * - "replace": the current list is emptied first, keeping the file's IDs.
+ * Parent and next-occurrence links inside the file follow reassigned IDs;
+ * links to records outside the file are dropped rather than attached to
+ * whatever happens to hold that ID here.
+ */
+function applyImportRecords(instructions, records, mode) {
+  // Formats that store a field with less precision supply `matches[field]`
+  const isSame = ({ fields, matches }, field, existingValue) =>
+    matches?.[field]
+      ? matches[field](existingValue)
+      : comparableValue(existingValue) === comparableValue(fields[field]);
+  const summary = {
+    added: [],
+    updated: [],
+    reassigned: [],
+    unlinked: [],
+    unchanged: 0,
+    removed: 0,
+  };
+  if (mode === "replace") {
+    summary.removed = instructions.length;
+    instructions.length = 0;
+  }
+  const usedIds = new Set(instructions.map((inst) => inst.id));
+  let nextId = usedIds.size > 0 ? Math.max(...usedIds) + 1 : 1;
+  const idMap = new Map();
+  const fileIds = new Set(
+    records.map((record) => record.id).filter((id) => id !== null)
+  );
+  const plan = records.map((record) => {
+    const { id, matchOn, fields } = record;
+    const existing =
+      mode !== "merge"
+        ? null
+        : id !== null
+          ? instructions.find((inst) => inst.id === id)
+          : matchOn
+            ? instructions.find(
+                (inst) => inst[matchOn] === record.fields[matchOn]
+              )
+            : null;
+    // A foreign UID identifies the item on its own; an inst ID is only the
+    // same instruction if it was also created at the same time
     if (
-      !/^\d{4}-\d{2}-\d{2}$/.test(options.date) ||
-      isNaN(new Date(options.date).getTime())
+      existing &&
+      (id === null ||
+        fields.added === undefined ||
+        isSame(record, "added", existing.added))
     ) {
-      return "Invalid date format for --date. Please use YYYY-MM-DD.";
+      return { record, existing };
     }
-    if (options.day || options.month || options.week || options.year) {
-      return "Cannot use --date with other time filters like --day, --month, etc.";
+    const newId =
+      mode !== "append" && id !== null && !usedIds.has(id) ? id : nextId;
+    if (id !== null && newId !== id) {
+      idMap.set(id, newId);
+      if (mode !== "append") summary.reassigned.push({ from: id, to: newId });
     }
-  }
-  if (options.week && !options.month) {
-    return "The --week filter must be used with the --month filter.";
-  }
-  return true;
-}
+    usedIds.add(newId);
+    nextId = Math.max(nextId, newId + 1);
+    return { record, newId };
+  });
 
-const weekCoercion = (week) => {
-  if (week !== undefined) {
-    if (typeof week !== "number" || week < 1 || week > 5) {
-      throw new Error(
-        `Invalid week value: The week must be a number between 1 and 5.`
+  for (const { record, existing, newId } of plan) {
+    const fields = { ...record.fields };
+    for (const link of ["parentId", "nextOccurrenceId"]) {
+      const target = fields[link];
+      if (target == null) continue;
+      if (fileIds.has(target)) {
+        if (idMap.has(target)) fields[link] = idMap.get(target);
+      } else if (existing?.[link] !== target) {
+        fields[link] = null;
+        summary.unlinked.push({ id: existing?.id ?? newId, link, target });
+      }
+    }
+    if (existing) {
+      const changedFields = Object.keys(fields).filter(
+        (field) => !isSame({ ...record, fields }, field, existing[field])
       );
+      if (changedFields.length === 0) {
+        summary.unchanged++;
+        continue;
+      }
+      for (const field of changedFields) existing[field] = fields[field];
+      summary.updated.push({ instruction: existing, changedFields });
+      continue;
     }
+    const newInst = {
+      id: newId,
+      source: fields.source,
+      text: fields.text,
+      added: new Date().toISOString(),
+      priority: "normal",
+      deadline: null,
+      repeat: null,
+      parentId: null,
+      tags: [],
+      status: "pending",
+      isDeleted: false,
+      deletedAt: null,
+      ...fields,
+    };
+    instructions.push(newInst);
+    summary.added.push(newInst);
   }
-  return week;
-};
+  return summary;
+}
 
-function parseMonth(monthInput) {
-  if (!monthInput) return null;
+// --- Data Health Checks (inst doctor) ---
+const isValidDateValue = (value) =>
+  typeof value === "string" && !isNaN(new Date(value));
 
-  const monthNumber = parseInt(monthInput, 10);
-  if (!isNaN(monthNumber) && monthNumber >= 1 && monthNumber <= 12) {
-    return monthNumber;
+const nextFreeId = (instructions) =>
+  Math.max(
+    0,
+    ...instructions.map((inst) => (Number.isInteger(inst?.id) ? inst.id : 0))
+  ) + 1;
+
+/**
+ * Validates every record and returns one problem per bad field. Each problem
+ * carries a description of its repair and an apply(instructions) that makes it.
+ */
+function diagnoseInstructions(instructions) {
+  const problems = [];
+  const byId = new Map();
+  for (const inst of instructions) {
+    if (Number.isInteger(inst?.id) && !byId.has(inst.id))
+      byId.set(inst.id, inst);
   }
+  const seenIds = new Set();
 
-  const monthStr = String(monthInput).toLowerCase().trim();
-  const monthMap = {
-    january: 1,
-    jan: 1,
-    february: 2,
-    feb: 2,
-    march: 3,
-    mar: 3,
-    april: 4,
-    apr: 4,
-    may: 5,
-    june: 6,
-    jun: 6,
-    july: 7,
-    jul: 7,
-    august: 8,
-    aug: 8,
-    september: 9,
-    sep: 9,
-    october: 10,
-    oct: 10,
-    november: 11,
-    nov: 11,
-    december: 12,
-    dec: 12,
-  };
+  instructions.forEach((inst, index) => {
+    // Records without a usable ID of their own are named by position
+    const report = (field, message, fix, apply) =>
+      problems.push({
+        label:
+          byId.get(inst?.id) === inst ? `#${inst.id}` : `Record ${index + 1}`,
+        field,
+        message,
+        fix,
+        apply,
+      });
 
-  return monthMap[monthStr] || null;
-}
+    if (!inst || typeof inst !== "object" || Array.isArray(inst)) {
+      report(null, "is not an instruction", "remove it", (list) =>
+        list.splice(list.indexOf(inst), 1)
+      );
+      return;
+    }
 
-const monthCoercion = (monthInput) => {
-  if (monthInput === undefined) return undefined;
-  const monthNumber = parseMonth(monthInput);
-  if (monthNumber === null) {
-    throw new Error(`Invalid month: '${monthInput}'.`);
-  }
-  return monthNumber;
-};
+    if (!Number.isInteger(inst.id) || inst.id < 1 || seenIds.has(inst.id)) {
+      report(
+        "id",
+        seenIds.has(inst.id)
+          ? `duplicates the ID of another instruction`
+          : `${JSON.stringify(inst.id)} is not a valid ID`,
+        "assign a new ID",
+        (list) => (inst.id = nextFreeId(list))
+      );
+    } else {
+      seenIds.add(inst.id);
+    }
+
+    for (const [field, placeholder] of [
+      ["source", "Unsorted"],
+      ["text", "(no text)"],
+    ]) {
+      if (typeof inst[field] !== "string" || !inst[field].trim()) {
+        report(field, "is missing", `set it to "${placeholder}"`, () => {
+          inst[field] = placeholder;
+        });
+      }
+    }
+
+    for (const [field, fallback] of [
+      ["priority", "normal"],
+      ["status", "pending"],
+    ]) {
+      if (optionChoices[field].includes(inst[field])) continue;
+      const lowered = String(inst[field] ?? "").toLowerCase();
+      const value = optionChoices[field].includes(lowered) ? lowered : fallback;
+      report(
+        field,
+        inst[field] == null
+          ? "is missing"
+          : `${JSON.stringify(inst[field])} is not a valid ${field}`,
+        `set it to "${value}"`,
+        () => {
+          inst[field] = value;
+        }
+      );
+    }
+
+    if (!isValidDateValue(inst.added)) {
+      report(
+        "added",
+        inst.added == null
+          ? "is missing"
+          : `${JSON.stringify(inst.added)} is not a date`,
+        "set it to now",
+        () => {
+          inst.added = new Date().toISOString();
+        }
+      );
+    }
+    for (const field of ["deadline", "deletedAt", "completedAt"]) {
+      if (inst[field] != null && !isValidDateValue(inst[field])) {
+        report(
+          field,
+          `${JSON.stringify(inst[field])} is not a date`,
+          "clear it",
+          () => {
+            inst[field] = null;
+          }
+        );
+      }
+    }
+
+    if (typeof inst.isDeleted !== "boolean") {
+      const value = Boolean(inst.deletedAt);
+      report(
+        "isDeleted",
+        "should be true or false",
+        `set it to ${value}`,
+        () => {
+          inst.isDeleted = value;
+        }
+      );
+    }
+
+    if (
+      inst.tags !== undefined &&
+      (!Array.isArray(inst.tags) ||
+        inst.tags.some((tag) => typeof tag !== "string"))
+    ) {
+      report("tags", "should be a list of words", "normalize them", () => {
+        inst.tags =
+          Array.isArray(inst.tags) || typeof inst.tags === "string"
+            ? normalizeTags(inst.tags)
+            : [];
+      });
+    }
+
+    if (
+      inst.notes !== undefined &&
+      (!Array.isArray(inst.notes) ||
+        inst.notes.some(
+          (note) =>
+            typeof note?.text !== "string" || !isValidDateValue(note.added)
+        ))
+    ) {
+      report(
+        "notes",
+        "contains malformed entries",
+        "drop notes without text and date the rest",
+        () => {
+          inst.notes = (Array.isArray(inst.notes) ? inst.notes : [])
+            .filter((note) => typeof note?.text === "string")
+            .map((note) =>
+              isValidDateValue(note.added)
+                ? note
+                : { ...note, added: inst.added ?? new Date().toISOString() }
+            );
+        }
+      );
+    }
+
+    if (inst.repeat != null && !parseRecurrence(String(inst.repeat))) {
+      report(
+        "repeat",
+        `${JSON.stringify(inst.repeat)} is not a repeat rule`,
+        "clear it",
+        () => {
+          inst.repeat = null;
+        }
+      );
+    }
+
+    if (inst.parentId != null) {
+      // Walk up the parent chain; a cycle is reported once, on its lowest ID
+      const chain = [];
+      let cursor = inst;
+      while (cursor?.parentId != null && !chain.includes(cursor.id)) {
+        chain.push(cursor.id);
+        cursor = byId.get(cursor.parentId);
+      }
+      let message = null;
+      if (!byId.has(inst.parentId)) {
+        message = `points to missing instruction #${inst.parentId}`;
+      } else if (inst.parentId === inst.id) {
+        message = "points to itself";
+      } else if (
+        cursor &&
+        chain.indexOf(cursor.id) === 0 &&
+        inst.id === Math.min(...chain)
+      ) {
+        message = `forms a cycle with ${chain
+          .slice(1)
+          .map((id) => `#${id}`)
+          .join(", ")}`;
+      }
+      if (message) {
+        report("parentId", message, "detach it from its parent", () => {
+          inst.parentId = null;
+        });
+      }
+    }
+
+    if (inst.nextOccurrenceId != null && !byId.has(inst.nextOccurrenceId)) {
+      report(
+        "nextOccurrenceId",
+        `points to missing instruction #${inst.nextOccurrenceId}`,
+        "clear it",
+        () => {
+          inst.nextOccurrenceId = null;
+        }
+      );
+    }
+  });
+
+  return problems;
+}
 
 // --- PDF Generation Engine ---
 function wrapTextForPdf(text, maxWidth, font, fontSize) {
@@ -702,6 +5097,7 @@ async function createPdfReport(
         "ID",
         "Source",
         "Instruction",
+        "Tags",
         "Priority",
         "Status",
         "Deadline",
@@ -712,15 +5108,21 @@ async function createPdfReport(
         "ID",
         "Source",
         "Instruction",
+        "Tags",
         "Priority",
         "Status",
         "Deadline",
         "Added",
       ];
 
-  const colWidths = showDeletedAt
-    ? [30, 60, 135, 50, 60, 60, 60, 70]
-    : [30, 70, 165, 50, 60, 70, 70];
+  // Relative column weights, scaled so the table spans exactly the usable width
+  const colWeights = showDeletedAt
+    ? [25, 55, 110, 55, 45, 55, 55, 55, 60]
+    : [30, 60, 130, 60, 45, 55, 65, 65];
+  const totalWeight = colWeights.reduce((sum, w) => sum + w, 0);
+  const colWidths = colWeights.map(
+    (w) => (w * (width - 2 * margin)) / totalWeight
+  );
 
   const fontSize = 9,
     headerFontSize = 10,
@@ -775,12 +5177,20 @@ async function createPdfReport(
   drawPageHeader(page);
   drawHeaders(page);
 
-  for (const inst of instructions) {
+  for (const { inst, depth } of flattenInstructionTree(instructions)) {
     // Sanitize user-provided text fields to remove newlines before PDF creation
-    const sanitizedText = String(inst.text || "").replace(
-      /(\r\n|\n|\r)/gm,
-      " "
-    );
+    const progress = getSubtaskProgress(instructions, inst.id);
+    const sanitizedText = [
+      (depth > 0 ? `${"  ".repeat(depth - 1)}- ` : "") +
+        String(inst.text || "").replace(/(\r\n|\n|\r)/gm, " ") +
+        (progress.total > 0
+          ? ` (${progress.done}/${progress.total} done)`
+          : ""),
+      ...(inst.notes || []).map(
+        (note) =>
+          `Note ${new Date(note.added).toLocaleDateString()}: ${note.text.replace(/(\r\n|\n|\r)/gm, " ")}`
+      ),
+    ].join("\n");
     const sanitizedSource = String(inst.source || "").replace(
       /(\r\n|\n|\r)/gm,
       " "
@@ -790,6 +5200,7 @@ async function createPdfReport(
       String(inst.id),
       sanitizedSource,
       sanitizedText,
+      (inst.tags || []).join(", "),
       inst.priority,
       inst.status,
       inst.deadline ? new Date(inst.deadline).toLocaleDateString() : "N/A",
@@ -801,8 +5212,13 @@ async function createPdfReport(
       );
     }
 
+    // Cells may contain several paragraphs (e.g. notes); wrap each separately
     const wrappedRow = rowData.map((cellText, i) =>
-      wrapTextForPdf(cellText, colWidths[i] - 4, font, fontSize)
+      String(cellText)
+        .split("\n")
+        .flatMap((paragraph) =>
+          wrapTextForPdf(paragraph, colWidths[i] - 4, font, fontSize)
+        )
     );
     const rowHeight =
       Math.max(...wrappedRow.map((lines) => lines.length)) *
@@ -1016,45 +5432,107 @@ async function generateManualPdf(argv) {
     await writeFile(filePath, pdfBytes);
 
     stopLoadingMessage();
-    console.log(chalk.green.bold("\n✅ Manual Saved"));
-    console.log(`   - Path: ${filePath}`);
+    emitJson({ command: "manual", path: filePath });
+    print(chalk.green.bold("\n✅ Manual Saved"));
+    print(`   - Path: ${filePath}`);
     if (
       argv.open ||
-      (await promptConfirmation(chalk.blue("💡 Open the manual now?")))
+      (!jsonMode &&
+        (await promptConfirmation(chalk.blue("💡 Open the manual now?"))))
     ) {
       openFile(filePath);
     }
   } catch (err) {
     stopLoadingMessage();
     console.error(chalk.red("❌ Failed to generate PDF manual:"), err);
+    emitJsonError("manual", "UNEXPECTED", err.message);
   }
 }
 
 // --- Custom Failure Handler ---
 function customFailureHandler(msg, err, _yargs) {
-  const command = process.argv[2];
+  const command = readRawCommand(hideBin(process.argv));
   const errorMessage = msg || (err && err.message) || "";
-  console.error();
+  if (jsonMode) {
+    emitJsonError(
+      command,
+      "INVALID_ARGUMENTS",
+      errorMessage || "An unexpected error occurred."
+    );
+    process.exit(1);
+  }
+  printError();
 
   if (errorMessage.includes("Invalid week value")) {
-    console.error(chalk.red(`❌ Error: Invalid value for --week.`));
-    console.error(
-      chalk.yellow(`\n💡 The week must be a number between 1 and 5.`)
+    printError(chalk.red(`❌ Error: Invalid value for --week.`));
+    printError(chalk.yellow(`\n💡 The week must be a number between 1 and 5.`));
+  } else if (errorMessage.includes("Invalid month:")) {
+    printError(
+      chalk.red(`❌ Error: ${errorMessage.replace("Invalid month: ", "")}`)
+    );
+    printError(
+      chalk.yellow(
+        `\n💡 Please use a month name (e.g., "August"), abbreviation (e.g., "Aug"), or number (1-12).`
+      )
+    );
+  } else if (errorMessage.includes("Invalid --where expression:")) {
+    printError(chalk.red(`❌ Error: ${errorMessage}`));
+    const posMatch = errorMessage.match(/\(at position (\d+)\)$/);
+    // --match takes the same expressions as --where
+    const whereIndex = process.argv.findIndex((arg) =>
+      /^--(where|match)\b/.test(arg)
+    );
+    const expression =
+      whereIndex === -1
+        ? null
+        : process.argv[whereIndex].includes("=")
+          ? process.argv[whereIndex].slice(
+              process.argv[whereIndex].indexOf("=") + 1
+            )
+          : process.argv[whereIndex + 1];
+    // Positions count from the trimmed expression, as whereCoercion parses it
+    if (posMatch && expression) {
+      printError(chalk.gray(`\n   ${expression.trim()}`));
+      printError(chalk.red(`   ${" ".repeat(posMatch[1] - 1)}^`));
+    }
+    printError(
+      chalk.yellow(
+        `\n💡 Fields: ${Object.keys(WHERE_FIELDS).join(", ")}. Operators: = != : !: < <= > >=. Combine with and, or, not and parentheses.`
+      )
     );
-  } else if (errorMessage.includes("Invalid month:")) {
-    console.error(
-      chalk.red(`❌ Error: ${errorMessage.replace("Invalid month: ", "")}`)
+  } else if (errorMessage.includes("Invalid sort key:")) {
+    printError(chalk.red(`❌ Error: ${errorMessage}`));
+    const badKey = errorMessage.match(/'(.*)'/)?.[1] || "";
+    const suggestion = findSuggestion(badKey, SORT_KEYS);
+    if (suggestion) {
+      printError(chalk.yellow(`\n💡 Did you mean '${suggestion}'?`));
+    }
+    printError(
+      chalk.yellow(`\n💡 Available sort keys: ${SORT_KEYS.join(", ")}.`)
     );
-    console.error(
+  } else if (errorMessage.includes("Invalid parent ID:")) {
+    printError(chalk.red(`❌ Error: ${errorMessage}`));
+    printError(
       chalk.yellow(
-        `\n💡 Please use a month name (e.g., "August"), abbreviation (e.g., "Aug"), or number (1-12).`
+        `\n💡 The parent must be the numeric ID of an existing instruction, or "none" to detach.`
+      )
+    );
+  } else if (errorMessage.includes("Invalid repeat rule:")) {
+    printError(
+      chalk.red(
+        `❌ Error: ${errorMessage.replace("Invalid repeat rule: ", "Unrecognised repeat rule ")}`
+      )
+    );
+    printError(
+      chalk.yellow(
+        `\n💡 Try a rule like "daily", "every monday", "every 2 weeks" or "monthly on the 1st". Use "none" to clear it.`
       )
     );
   } else if (
     errorMessage.includes("week filter must be used with the --month")
   ) {
-    console.error(chalk.red(`❌ Error: ${errorMessage}`));
-    console.error(
+    printError(chalk.red(`❌ Error: ${errorMessage}`));
+    printError(
       chalk.yellow(
         `\n💡 Please specify which month you want to filter by week (e.g., --week 1 --month 8).`
       )
@@ -1062,33 +5540,64 @@ function customFailureHandler(msg, err, _yargs) {
   } else if (
     errorMessage.includes("Cannot use --date with other time filters")
   ) {
-    console.error(chalk.red(`❌ Error: ${errorMessage}`));
-    console.error(
+    printError(chalk.red(`❌ Error: ${errorMessage}`));
+    printError(
       chalk.yellow(
         `\n💡 Use either '--date' or broader filters like '--month', but not both.`
       )
     );
+  } else if (
+    msg &&
+    msg.startsWith("Not enough non-option arguments") &&
+    command === "note"
+  ) {
+    printError(chalk.red(`❌ Error: The note message is required.`));
+    printError(
+      chalk.yellow(`\n💡 Put the note text after the options, in quotes.`)
+    );
+  } else if (
+    msg &&
+    msg.startsWith("Not enough non-option arguments") &&
+    (command === "search" || command === "find")
+  ) {
+    printError(chalk.red(`❌ Error: A search query is required.`));
+    printError(
+      chalk.yellow(
+        `\n💡 Wrap the whole query in quotes, especially when using -word exclusions.`
+      )
+    );
+  } else if (
+    msg &&
+    msg.includes("Not enough non-option arguments") &&
+    command === "import"
+  ) {
+    printError(chalk.red(`❌ Error: A file to import is required.`));
+    printError(
+      chalk.yellow(
+        `\n💡 Pass the path of a file created by 'inst export', e.g. a CSV export.`
+      )
+    );
   } else if (msg && msg.startsWith("Unknown argument")) {
     const unknownOption = msg.split(":")[1].trim();
-    console.error(chalk.red(`❌ Error: Unknown option: --${unknownOption}`));
+    printError(chalk.red(`❌ Error: Unknown option: --${unknownOption}`));
     const suggestion = findSuggestion(unknownOption, allValidOptions);
     if (suggestion) {
-      console.error(chalk.yellow(`\n💡 Did you mean '--${suggestion}'?`));
+      printError(chalk.yellow(`\n💡 Did you mean '--${suggestion}'?`));
     }
   } else if (msg && msg.includes("Not enough arguments following")) {
     const option = msg.split(":")[1].trim();
     const prefix = option.length === 1 ? "-" : "--";
-    console.error(
+    printError(
       chalk.red(`❌ Error: The '${prefix}${option}' option requires a value.`)
     );
     if (optionChoices[option]) {
-      console.error(
+      printError(
         chalk.yellow(
           `\n💡 Please provide one of the available choices: ${optionChoices[option].join(", ")}.`
         )
       );
     } else {
-      console.error(
+      printError(
         chalk.yellow(
           `\n💡 Please provide a value after the ${prefix}${option} flag.`
         )
@@ -1105,29 +5614,29 @@ function customFailureHandler(msg, err, _yargs) {
       rawArgs.includes(`--${missingArg}`) ||
       (alias && rawArgs.includes(alias))
     ) {
-      console.error(
+      printError(
         chalk.red(`❌ Error: The '--${missingArg}' option requires a value.`)
       );
       if (optionChoices[missingArg]) {
-        console.error(
+        printError(
           chalk.yellow(
             `\n💡 Please provide one of the available choices: ${optionChoices[missingArg].join(", ")}.`
           )
         );
       } else {
-        console.error(
+        printError(
           chalk.yellow(
             `\n💡 Please provide a value after the --${missingArg} flag (e.g., --${missingArg} 123).`
           )
         );
       }
     } else {
-      console.error(
+      printError(
         chalk.red(
           `❌ Error: The '--${missingArg}' option is required for the '${command}' command.`
         )
       );
-      console.error(chalk.yellow(`\n💡 Please provide the missing option.`));
+      printError(chalk.yellow(`\n💡 Please provide the missing option.`));
     }
   } else if (msg && msg.includes("Invalid values")) {
     const argMatch = msg.match(/Argument: (\w+)/);
@@ -1136,23 +5645,23 @@ function customFailureHandler(msg, err, _yargs) {
     const givenValue = givenMatch ? givenMatch[1] : null;
 
     if (givenValue === null || givenValue === "") {
-      console.error(
+      printError(
         chalk.red(`❌ Error: The '--${arg}' option requires a value.`)
       );
       if (optionChoices[arg]) {
-        console.error(
+        printError(
           chalk.yellow(
             `\n💡 Please provide one of the available choices: ${optionChoices[arg].join(", ")}.`
           )
         );
       }
     } else {
-      console.error(
+      printError(
         chalk.red(`❌ Error: Invalid value provided for the '--${arg}' option.`)
       );
       const choicesMatch = msg.match(/Allowed: (.*)/);
       if (choicesMatch && choicesMatch[1]) {
-        console.error(
+        printError(
           chalk.yellow(
             `\n💡 Please choose one of the following: ${choicesMatch[1]}`
           )
@@ -1160,10 +5669,10 @@ function customFailureHandler(msg, err, _yargs) {
       }
     }
   } else if (msg) {
-    console.error(chalk.red(`❌ Error: ${msg}`));
+    printError(chalk.red(`❌ Error: ${msg}`));
   } else {
-    console.error(chalk.red("\n❌ An unexpected error occurred."));
-    if (err) console.error(chalk.red(`   Error: ${err.message || err}`));
+    printError(chalk.red("\n❌ An unexpected error occurred."));
+    if (err) printError(chalk.red(`   Error: ${err.message || err}`));
   }
 
   let example =
@@ -1194,18 +5703,16 @@ function customFailureHandler(msg, err, _yargs) {
   }
 
   if (example) {
-    console.error(chalk.green(`\n✅ Example: ${example}`));
+    printError(chalk.green(`\n✅ Example: ${example}`));
   }
-  console.error(
-    chalk.blue(`\nFor more help, run: inst ${command || ""} --help`)
-  );
+  printError(chalk.blue(`\nFor more help, run: inst ${command || ""} --help`));
   process.exit(1);
 }
 
 // --- Main Execution Logic ---
 async function main() {
-  ensureDataFilesExist();
   const rawArgs = hideBin(process.argv);
+  await applyDataLocation(rawArgs);
 
   const allValidCommands = new Set([
     "add",
@@ -1213,26 +5720,40 @@ async function main() {
     "show",
     "list",
     "ls",
+    "search",
+    "find",
     "edit",
     "e",
     "mark",
     "m",
+    "note",
+    "n",
     "delete",
     "del",
     "d",
     "recover",
     "rec",
+    "trash",
+    "purge",
     "reset",
     "undo",
     "redo",
+    "history",
+    "doctor",
     "manual",
     "export",
     "ex",
+    "import",
     "total",
     "t",
+    "config",
+    "profile",
+    "init",
     "help",
   ]);
 
+  if (rawArgs.includes("--json")) enableJsonMode();
+
   const potentialCommand = rawArgs[0];
   const helpRequested = rawArgs.includes("--help") || rawArgs.includes("-h");
 
@@ -1258,21 +5779,24 @@ async function main() {
         potentialCommand,
         Array.from(allValidCommands)
       );
+      emitJsonError(
+        potentialCommand,
+        "UNKNOWN_COMMAND",
+        `Unknown command '${potentialCommand}'.${suggestion ? ` Did you mean ${suggestion}?` : ""}`
+      );
       if (suggestion) {
-        console.error(
+        printError(
           chalk.red(
             `\n❌ Unknown command '${potentialCommand}'. Did you mean ${chalk.bold(suggestion)}?`
           )
         );
         if (helpRequested) {
-          console.log(
-            chalk.yellow(`\nShowing help for '${suggestion}' instead.`)
-          );
+          print(chalk.yellow(`\nShowing help for '${suggestion}' instead.`));
           displayCustomHelp(suggestion);
         }
       } else {
-        console.error(chalk.red(`\n❌ Unknown command '${potentialCommand}'.`));
-        console.log(
+        printError(chalk.red(`\n❌ Unknown command '${potentialCommand}'.`));
+        print(
           chalk.blue(
             `\nFor a list of available commands, type: ${chalk.bold("inst --help")}`
           )
@@ -1288,6 +5812,26 @@ async function main() {
     return;
   }
 
+  if (
+    potentialCommand &&
+    !potentialCommand.startsWith("-") &&
+    // Commands that look at or bring back the trash must see it untouched
+    ![
+      "doctor",
+      "config",
+      "init",
+      "profile",
+      "undo",
+      "redo",
+      "recover",
+      "rec",
+      "trash",
+      "purge",
+    ].includes(potentialCommand)
+  ) {
+    await applyTrashRetention();
+  }
+
   yargs(rawArgs)
     .scriptName("inst")
     .command({
@@ -1321,12 +5865,29 @@ async function main() {
             type: "string",
             requiresArg: true,
           })
-          .demandOption(["source", "instruction"]),
-      handler: async (argv) => {
+          .option("repeat", {
+            describe: "Repeat rule (e.g., 'every monday')",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("parent", {
+            describe: "ID of the parent instruction",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("tag", {
+            describe: "Tag the instruction (repeatable)",
+            type: "string",
+            requiresArg: true,
+          })
+          .demandOption(["source", "instruction"])
+          .coerce("repeat", repeatCoercion)
+          .coerce("parent", parentCoercion)
+          .coerce("tag", tagsCoercion),
+      handler: withDataLock(async (argv) => {
         startLoadingMessage("Adding instruction");
         try {
-          await pushToUndoStack("add");
-          await clearRedoStack();
+          await startJournalEntry("add");
           const instructions = await loadInstructions();
           const newId =
             instructions.length > 0
@@ -1336,147 +5897,222 @@ async function main() {
             ? chrono.parseDate(argv.deadline)
             : null;
           if (argv.deadline && !deadlineDate) {
-            console.log(
+            print(
               chalk.red.bold(
                 "❌ Invalid deadline format. Could not parse the date."
               )
             );
+            emitJsonError("add", "INVALID_INPUT", "Invalid deadline format.");
+            return;
+          }
+          const parentError = argv.parent
+            ? validateParent(instructions, null, argv.parent)
+            : null;
+          if (parentError) {
+            print(chalk.red.bold(`❌ ${parentError}`));
+            emitJsonError("add", "INVALID_INPUT", parentError);
             return;
           }
-          instructions.push({
+          const newInst = {
             id: newId,
             source: argv.source,
             text: argv.instruction,
             added: new Date().toISOString(),
             priority: argv.priority,
             deadline: deadlineDate ? deadlineDate.toISOString() : null,
+            repeat: argv.repeat || null,
+            parentId: argv.parent || null,
+            tags: argv.tag || [],
             status: "pending",
             isDeleted: false,
             deletedAt: null,
-          });
+          };
+          instructions.push(newInst);
           await saveInstructions(instructions);
-          console.log(chalk.green.bold("\n✅ Instruction Added"));
-          console.log(`   - ID: ${newId}`);
-          console.log(`   - Source: ${argv.source}`);
-          console.log(
-            chalk.yellow("💡 Tip: Use 'inst undo' to revert this change.")
-          );
+          emitJson({ command: "add", created: newInst });
+          print(chalk.green.bold("\n✅ Instruction Added"));
+          print(`   - ID: ${newId}`);
+          print(`   - Source: ${argv.source}`);
+          if (argv.repeat) print(`   - Repeats: ${argv.repeat}`);
+          if (argv.parent) print(`   - Subtask of: #${argv.parent}`);
+          if (argv.tag?.length) print(`   - Tags: ${formatTags(argv.tag)}`);
+          print(chalk.yellow("💡 Tip: Use 'inst undo' to revert this change."));
         } finally {
           stopLoadingMessage();
         }
-      },
+      }),
     })
     .command({
       command: "show",
       aliases: ["list", "ls"],
       describe: "Show instructions with powerful filters.",
       builder: (yargs) =>
-        yargs
-          .option("status", {
-            alias: "s",
-            describe: "Filter by status",
-            type: "string",
-            choices: Object.keys(CONFIG.STATUS_SYMBOLS),
-          })
-          .option("all", {
-            describe: "Include deleted instructions",
-            type: "boolean",
-          })
-          .option("date", {
-            describe: `Filter by date (e.g., ${new Date().getFullYear()}-08-07)`,
-            type: "string",
-            requiresArg: true,
-          })
-          .option("day", {
-            describe: "Filter by day name",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("month", {
-            describe: "Filter by month (name or 1-12)",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("week", {
-            describe: "Filter by week of month (1-5)",
-            type: "number",
-            requiresArg: true,
-          })
-          .option("year", {
-            describe: "Filter by year (YYYY)",
-            type: "number",
-            requiresArg: true,
-          })
-          .option("priority", {
-            alias: "p",
-            describe: "Filter by priority",
-            type: "string",
-            choices: Object.keys(CONFIG.PRIORITY_ORDER),
-          })
-          .option("source", {
-            describe: "Filter by source",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("deadline", {
-            describe: "Show only instructions with a deadline",
-            type: "boolean",
-          })
-          .check(validateFilterOptions)
-          .coerce("week", weekCoercion)
-          .coerce("month", monthCoercion),
+        withSortOptions(
+          withFilterOptions(
+            yargs
+              .option("id", {
+                describe: "Show full details of one instruction",
+                type: "number",
+                requiresArg: true,
+              })
+              .option("pager", {
+                describe: "Pipe long output through $PAGER",
+                type: "boolean",
+                default: true,
+              })
+              .option("view", {
+                describe: "Output layout",
+                type: "string",
+                choices: CONFIG.VIEWS,
+              })
+          )
+        ),
       handler: async (argv) => {
         startLoadingMessage("Fetching instructions");
         try {
           let instructions = await loadInstructions();
+          if (argv.id !== undefined) {
+            const inst = instructions.find((i) => i.id === argv.id);
+            if (!inst) {
+              print(
+                chalk.yellow(
+                  `ℹ️ This ID does not exist. No instruction found with ID: ${argv.id}`
+                )
+              );
+              emitJsonError(
+                "show",
+                "NOT_FOUND",
+                `No instruction found with ID: ${argv.id}`
+              );
+              return;
+            }
+            emitJson({ command: "show", instruction: inst });
+            print(
+              ["", ...renderInstructionDetail(inst, instructions)].join("\n")
+            );
+            return;
+          }
           let filtered = filterInstructions(instructions, argv);
+          const page = sortAndPageInstructions(filtered, argv);
+          const { titleLabel } = generateFileNameAndTitle(argv);
+          if (jsonMode) {
+            emitJson({
+              command: "show",
+              store: CONFIG.DATA_DIR,
+              profile: activeProfile,
+              title: titleLabel,
+              matched: filtered.length,
+              count: page.length,
+              offset: argv.offset || 0,
+              instructions: flattenInstructionTree(page).map(
+                ({ inst }) => inst
+              ),
+            });
+            return;
+          }
           if (filtered.length === 0) {
             showNoResultsFeedback();
             return;
           }
+          if (page.length === 0) {
+            print(
+              chalk.yellow(
+                `\n📭 No instructions on this page. ${filtered.length} matched; try a smaller --offset.`
+              )
+            );
+            return;
+          }
+          const lines = [
+            `${chalk.inverse.bold(`\n--- Showing ${titleLabel} ---`)} ${chalk.gray(`[${dataStoreScope === "project" ? `project: ${path.basename(path.dirname(CONFIG.DATA_DIR))} · ` : ""}profile: ${activeProfile}]`)}`,
+            page.length < filtered.length
+              ? chalk.gray(
+                  `Showing ${(argv.offset || 0) + 1}-${(argv.offset || 0) + page.length} of ${filtered.length}\n`
+                )
+              : "",
+          ];
+
+          const view = argv.view || getSetting(await loadSettings(), "view");
+          lines.push(
+            ...VIEW_RENDERERS[view](flattenInstructionTree(page), instructions)
+          );
+          stopLoadingMessage();
+          await printWithPager(lines, argv.pager);
+        } finally {
+          stopLoadingMessage();
+        }
+      },
+    })
+    .command({
+      command: "search <query..>",
+      aliases: ["find"],
+      describe: "Search instructions by text, source, tags and notes.",
+      builder: (yargs) =>
+        withFilterOptions(
+          yargs
+            .positional("query", {
+              describe: 'Words, "quoted phrases" or -excluded words',
+              type: "string",
+            })
+            .option("regex", {
+              describe: "Treat the query as a regular expression",
+              type: "boolean",
+            })
+        ),
+      handler: async (argv) => {
+        startLoadingMessage("Searching instructions");
+        try {
+          const queryText = argv.query.join(" ");
+          const instructions = await loadInstructions();
+          let results;
+          try {
+            results = searchInstructions(
+              filterInstructions(instructions, argv),
+              queryText,
+              argv.regex
+            );
+          } catch (error) {
+            print(chalk.red.bold(`❌ ${error.message}`));
+            emitJsonError("search", "INVALID_INPUT", error.message);
+            return;
+          }
+          emitJson({
+            command: "search",
+            query: queryText,
+            count: results.length,
+            results: results.map(({ inst, score }) => ({
+              score: Number(score.toFixed(2)),
+              instruction: inst,
+            })),
+          });
+          if (results.length === 0) {
+            showNoResultsFeedback();
+            return;
+          }
           const { titleLabel } = generateFileNameAndTitle(argv);
-          console.log(chalk.inverse.bold(`\n--- Showing ${titleLabel} ---\n`));
-          filtered.sort(
-            (a, b) =>
-              (CONFIG.PRIORITY_ORDER[a.priority] || 4) -
-              (CONFIG.PRIORITY_ORDER[b.priority] || 4)
+          print(
+            chalk.inverse.bold(
+              `\n--- ${results.length} result${results.length === 1 ? "" : "s"} for "${queryText}" in ${titleLabel} ---\n`
+            )
           );
-
-          filtered.forEach((inst) => {
-            const P_COLOR =
-              {
-                high: chalk.red.bold,
-                medium: chalk.yellow.bold,
-                low: chalk.green.bold,
-                normal: chalk.white,
-              }[inst.priority] || chalk.white;
-            const S_COLOR =
-              {
-                completed: chalk.green,
-                processing: chalk.blue,
-                paused: chalk.yellow,
-                pending: chalk.white,
-              }[inst.status] || chalk.gray;
-
-            const header = `${CONFIG.STATUS_SYMBOLS[inst.status] || " "}  ${chalk.cyan(`ID: ${inst.id}`)} | ${P_COLOR(`PRIORITY: ${inst.priority.toUpperCase()}`)} | ${S_COLOR(`STATUS: ${inst.status}`)} | ${chalk.yellow(inst.source)}`;
-            const text = `   ${chalk.cyan.bold("Instruction:")} ${inst.text}`;
-            const deadline = inst.deadline
-              ? `   ${chalk.magentaBright(`Due: ${new Date(inst.deadline).toLocaleString()}`)}`
+          results.forEach(({ inst, score, highlight }) => {
+            const mark = (text) => highlightMatches(text, highlight);
+            const tags = inst.tags?.length
+              ? ` ${chalk.magentaBright(mark(formatTags(inst.tags)))}`
               : "";
-            const deleted = inst.isDeleted
-              ? chalk.red.bold("   [DELETED]")
-              : "";
-
-            const card =
-              inst.status === "completed" && !inst.isDeleted
-                ? chalk.gray.strikethrough
-                : (str) => str;
-
-            console.log(card(header));
-            console.log(card(text));
-            if (deadline) console.log(card(deadline));
-            if (deleted) console.log(deleted);
-            console.log(card(chalk.gray("─".repeat(80))));
+            print(
+              `${CONFIG.STATUS_SYMBOLS[inst.status] || " "}  ${chalk.cyan(`ID: ${inst.id}`)} | PRIORITY: ${inst.priority.toUpperCase()} | STATUS: ${inst.status} | ${chalk.yellow(mark(inst.source))}${tags} ${chalk.gray(`(relevance ${score.toFixed(1)})`)}`
+            );
+            print(`   ${chalk.cyan.bold("Instruction:")} ${mark(inst.text)}`);
+            (inst.notes || [])
+              .filter((note) => {
+                highlight.lastIndex = 0;
+                return highlight.test(note.text);
+              })
+              .forEach((note) =>
+                print(`   ${chalk.gray("📝")} ${mark(formatNote(note))}`)
+              );
+            if (inst.isDeleted) print(chalk.red.bold("   [DELETED]"));
+            print(chalk.gray("─".repeat(80)));
           });
         } finally {
           stopLoadingMessage();
@@ -1486,13 +6122,18 @@ async function main() {
     .command({
       command: "edit",
       aliases: ["e"],
-      describe: "Edit an existing instruction.",
+      describe: "Edit one or more instructions.",
       builder: (yargs) =>
         yargs
           .option("id", {
             alias: "i",
-            describe: "ID to edit",
-            type: "number",
+            describe: "ID(s) to edit, e.g. 3,5,8-12",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("match", {
+            describe: "Edit every instruction matching this expression",
+            type: "string",
             requiresArg: true,
           })
           .option("source", {
@@ -1525,340 +6166,1285 @@ async function main() {
             type: "string",
             requiresArg: true,
           })
+          .option("repeat", {
+            describe: "New repeat rule ('none' to clear)",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("parent", {
+            describe: "New parent ID ('none' to make top-level)",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("tag", {
+            describe: "Replace all tags ('none' to clear)",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("add-tag", {
+            describe: "Add tags",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("remove-tag", {
+            describe: "Remove tags",
+            type: "string",
+            requiresArg: true,
+          })
+          .conflicts("id", "match")
+          .check(requireTargets)
+          .coerce("id", idListCoercion)
+          .coerce("match", whereCoercion)
+          .coerce("repeat", repeatCoercion)
+          .coerce("parent", parentCoercion)
+          .coerce(["tag", "add-tag", "remove-tag"], tagsCoercion),
+      handler: withDataLock(async (argv) => {
+        startLoadingMessage("Editing instruction");
+        try {
+          const instructions = await loadInstructions();
+          const targets = selectTargets(instructions, argv, {
+            command: "edit",
+            verb: "edit",
+          });
+          if (!targets) return;
+
+          const hasChanges =
+            argv.source ||
+            argv.instruction ||
+            argv.priority ||
+            argv.status ||
+            argv.deadline ||
+            argv.repeat !== undefined ||
+            argv.parent !== undefined ||
+            argv.tag ||
+            argv.addTag ||
+            argv.removeTag;
+          if (!hasChanges) {
+            print(
+              chalk.yellow(
+                `\nℹ️  No changes provided. To edit, supply an option like --priority or --instruction.`
+              )
+            );
+            print(chalk.green(`   Example: ${commandExamples.edit}`));
+            emitJsonError("edit", "NO_CHANGE", "No changes provided.");
+            return;
+          }
+
+          let deadline;
+          if (argv.deadline) {
+            const deadlineDate = chrono.parseDate(argv.deadline);
+            if (!deadlineDate) {
+              print(chalk.red.bold("❌ Invalid deadline format."));
+              emitJsonError(
+                "edit",
+                "INVALID_INPUT",
+                "Invalid deadline format."
+              );
+              return;
+            }
+            deadline = deadlineDate.toISOString();
+          }
+          if (argv.parent !== undefined && argv.parent !== null) {
+            for (const inst of targets) {
+              const parentError = validateParent(
+                instructions,
+                inst.id,
+                argv.parent
+              );
+              if (parentError) {
+                print(chalk.red.bold(`❌ ${parentError}`));
+                emitJsonError("edit", "INVALID_INPUT", parentError);
+                return;
+              }
+            }
+          }
+
+          if (
+            isBatch(argv) &&
+            !(await confirmBatch(
+              targets,
+              chalk.yellow(
+                `Apply these changes to ${targets.length} instruction(s)?`
+              )
+            ))
+          ) {
+            print(chalk.yellow("\nOperation cancelled."));
+            emitJsonError("edit", "CANCELLED", "Operation cancelled.");
+            return;
+          }
+
+          const changedFields = new Set();
+          const spawned = [];
+          for (const instToEdit of targets) {
+            const before = { ...instToEdit };
+            if (argv.source) instToEdit.source = argv.source;
+            if (argv.instruction) instToEdit.text = argv.instruction;
+            if (argv.priority) instToEdit.priority = argv.priority;
+            if (deadline) instToEdit.deadline = deadline;
+            if (argv.repeat !== undefined) instToEdit.repeat = argv.repeat;
+            if (argv.parent !== undefined) instToEdit.parentId = argv.parent;
+            if (argv.tag || argv.addTag || argv.removeTag) {
+              instToEdit.tags = normalizeTags([
+                ...(argv.tag || instToEdit.tags || []),
+                ...(argv.addTag || []),
+              ]).filter((tag) => !(argv.removeTag || []).includes(tag));
+            }
+            // Last, so a repeat rule set in the same edit is honoured
+            if (argv.status) {
+              const nextInst = setStatus(instructions, instToEdit, argv.status);
+              if (nextInst) spawned.push(nextInst);
+            }
+            Object.keys(instToEdit)
+              .filter(
+                (key) =>
+                  JSON.stringify(before[key]) !==
+                  JSON.stringify(instToEdit[key])
+              )
+              .forEach((key) => changedFields.add(key));
+          }
+
+          await startJournalEntry("edit");
+          await saveInstructions(instructions);
+          emitJson({
+            command: "edit",
+            updated: isBatch(argv) ? targets : targets[0],
+            changedFields: [...changedFields],
+            created: spawned,
+          });
+          if (isBatch(argv)) {
+            print(
+              chalk.green.bold(`\n✅ ${targets.length} Instructions Updated`)
+            );
+            print(`   - IDs: ${formatIdList(targets)}`);
+          } else {
+            print(chalk.green.bold("\n✅ Instruction Updated"));
+            print(`   - ID: ${targets[0].id}`);
+          }
+          for (const nextInst of spawned) {
+            print(chalk.cyanBright(`\n🔁 Next Occurrence Created`));
+            print(`   - ID: ${nextInst.id}`);
+            print(`   - Due: ${new Date(nextInst.deadline).toLocaleString()}`);
+          }
+          print(chalk.blue("💡 Tip: Use 'inst show' to see your changes."));
+        } finally {
+          stopLoadingMessage();
+        }
+      }),
+    })
+    .command({
+      command: "mark",
+      aliases: ["m"],
+      describe: "Mark one or more instructions with a new status.",
+      builder: (yargs) =>
+        yargs
+          .option("id", {
+            alias: "i",
+            describe: "The ID(s) to mark, e.g. 3,5,8-12",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("match", {
+            describe: "Mark every instruction matching this expression",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("status", {
+            alias: "s",
+            describe: "The new status",
+            type: "string",
+            choices: Object.keys(CONFIG.STATUS_SYMBOLS),
+            requiresArg: true,
+          })
+          .demandOption("status")
+          .conflicts("id", "match")
+          .check(requireTargets)
+          .coerce("id", idListCoercion)
+          .coerce("match", whereCoercion),
+      handler: withDataLock(async (argv) => {
+        startLoadingMessage("Updating status");
+        try {
+          const instructions = await loadInstructions();
+          const targets = selectTargets(instructions, argv, {
+            command: "mark",
+            verb: "mark",
+          });
+          if (!targets) return;
+          const toMark = targets.filter((inst) => inst.status !== argv.status);
+          const unchanged = targets.filter(
+            (inst) => inst.status === argv.status
+          );
+          if (toMark.length === 0) {
+            const message = isBatch(argv)
+              ? `All ${targets.length} instruction(s) are already marked as "${argv.status}".`
+              : `Instruction #${targets[0].id} is already marked as "${argv.status}".`;
+            print(chalk.yellow(`\nℹ️  ${message} No change made.\n`));
+            emitJsonError("mark", "NO_CHANGE", message);
+            return;
+          }
+          if (
+            isBatch(argv) &&
+            !(await confirmBatch(
+              toMark,
+              chalk.yellow(
+                `Mark ${toMark.length} instruction(s) as "${argv.status}"?`
+              )
+            ))
+          ) {
+            print(chalk.yellow("\nOperation cancelled."));
+            emitJsonError("mark", "CANCELLED", "Operation cancelled.");
+            return;
+          }
+
+          const pendingSubtasks = collectSubtasks(
+            instructions,
+            toMark,
+            (inst) => !inst.isDeleted && inst.status !== argv.status
+          );
+          let cascade = false;
+          if (pendingSubtasks.length > 0) {
+            stopLoadingMessage();
+            cascade = await promptConfirmation(
+              chalk.blue(
+                `💡 Also mark ${pendingSubtasks.length} subtask(s) of ${formatIdList(toMark)} as "${argv.status}"?`
+              )
+            );
+          }
+
+          await startJournalEntry("mark");
+          const oldStatus = toMark[0].status;
+          const markedInstructions = [
+            ...toMark,
+            ...(cascade ? pendingSubtasks : []),
+          ];
+          const spawned = [];
+          for (const inst of markedInstructions) {
+            spawned.push(setStatus(instructions, inst, argv.status));
+          }
+          await saveInstructions(instructions);
+          emitJson({
+            command: "mark",
+            from: isBatch(argv) ? undefined : oldStatus,
+            to: argv.status,
+            updated: markedInstructions,
+            unchanged: unchanged.map((inst) => inst.id),
+            created: spawned.filter(Boolean),
+          });
+
+          stopLoadingMessage();
+          // Saved already; don't keep other commands waiting on the animation
+          releaseDataLock();
+          if (argv.status === "completed" && !jsonMode) {
+            const animation = chalkAnimation.rainbow(
+              isBatch(argv)
+                ? `\n🎉 ${toMark.length} Instructions Completed! Well done! 🎉`
+                : `\n🎉 Instruction #${toMark[0].id} Completed! Well done! 🎉`
+            );
+            await new Promise((resolve) => setTimeout(resolve, 2000));
+            animation.stop();
+            for (const nextInst of spawned.filter(Boolean)) {
+              print(chalk.cyanBright(`\n🔁 Next Occurrence Created`));
+              print(`   - ID: ${nextInst.id}`);
+              print(
+                `   - Due: ${new Date(nextInst.deadline).toLocaleString()}`
+              );
+            }
+          } else if (isBatch(argv)) {
+            print(
+              chalk.green.bold(
+                `\n✅ Status Updated for ${toMark.length} Instructions`
+              )
+            );
+            print(`   - IDs: ${formatIdList(toMark)}`);
+            print(`   - To: ${argv.status}`);
+          } else {
+            print(
+              chalk.green.bold(`\n✅ Status Updated for ID: ${toMark[0].id}`)
+            );
+            print(`   - From: ${oldStatus}`);
+            print(`   - To: ${argv.status}`);
+          }
+          if (unchanged.length > 0) {
+            print(
+              chalk.gray(
+                `   - Already "${argv.status}": ${formatIdList(unchanged)}`
+              )
+            );
+          }
+          if (cascade) {
+            print(`   - Subtasks updated: ${formatIdList(pendingSubtasks)}`);
+          }
+        } finally {
+          stopLoadingMessage();
+        }
+      }),
+    })
+    .command({
+      command: "note <message..>",
+      aliases: ["n"],
+      describe: "Append a timestamped note to an instruction.",
+      builder: (yargs) =>
+        yargs
+          .positional("message", {
+            describe: "The note text",
+            type: "string",
+          })
+          .option("id", {
+            alias: "i",
+            describe: "ID to annotate",
+            type: "number",
+            requiresArg: true,
+          })
           .demandOption("id"),
-      handler: async (argv) => {
-        startLoadingMessage("Editing instruction");
+      handler: withDataLock(async (argv) => {
+        startLoadingMessage("Adding note");
         try {
           const instructions = await loadInstructions();
-          const instIndex = instructions.findIndex(
-            (inst) => inst.id === argv.id
-          );
-          if (instIndex === -1) {
-            console.log(
+          const inst = instructions.find((i) => i.id === argv.id);
+          if (!inst) {
+            print(
               chalk.yellow(
                 `ℹ️ This ID does not exist. No instruction found with ID: ${argv.id}`
               )
             );
+            emitJsonError(
+              "note",
+              "NOT_FOUND",
+              `No instruction found with ID: ${argv.id}`
+            );
             return;
           }
-          if (instructions[instIndex].isDeleted) {
-            console.log(
+          if (inst.isDeleted) {
+            print(
               chalk.yellow(
-                `ℹ️  Cannot edit a deleted instruction. Recover first.`
+                `ℹ️  Cannot add a note to a deleted instruction. Recover first.`
               )
             );
+            emitJsonError(
+              "note",
+              "DELETED",
+              `Instruction #${argv.id} is deleted. Recover it first.`
+            );
             return;
           }
-          const instToEdit = instructions[instIndex];
-          let changed = false;
-          if (argv.source) {
-            instToEdit.source = argv.source;
-            changed = true;
-          }
-          if (argv.instruction) {
-            instToEdit.text = argv.instruction;
-            changed = true;
-          }
-          if (argv.priority) {
-            instToEdit.priority = argv.priority;
-            changed = true;
-          }
-          if (argv.status) {
-            instToEdit.status = argv.status;
-            changed = true;
+          const message = argv.message.join(" ").trim();
+          if (!message) {
+            print(chalk.red.bold("❌ The note message cannot be empty."));
+            emitJsonError(
+              "note",
+              "INVALID_INPUT",
+              "The note message is empty."
+            );
+            return;
           }
-          if (argv.deadline) {
-            const deadlineDate = chrono.parseDate(argv.deadline);
-            if (!deadlineDate) {
-              console.log(chalk.red.bold("❌ Invalid deadline format."));
-              return;
+          await startJournalEntry("note");
+          inst.notes = [
+            ...(inst.notes || []),
+            { text: message, added: new Date().toISOString() },
+          ];
+          await saveInstructions(instructions);
+          emitJson({
+            command: "note",
+            updated: inst,
+            note: inst.notes[inst.notes.length - 1],
+          });
+          print(chalk.green.bold("\n✅ Note Added"));
+          print(`   - ID: ${argv.id}`);
+          print(`   - Notes: ${inst.notes.length}`);
+          print(
+            chalk.blue(
+              `💡 Tip: Use 'inst show --id ${argv.id}' to see the full note history.`
+            )
+          );
+        } finally {
+          stopLoadingMessage();
+        }
+      }),
+    })
+    .command({
+      command: "delete",
+      aliases: ["del", "d"],
+      describe: "Mark one or more instructions as deleted.",
+      builder: (yargs) =>
+        yargs
+          .option("id", {
+            alias: "i",
+            describe: "ID(s) to delete, e.g. 3,5,8-12",
+            type: "string",
+            requiresArg: true,
+          })
+          .option("match", {
+            describe: "Delete every instruction matching this expression",
+            type: "string",
+            requiresArg: true,
+          })
+          .conflicts("id", "match")
+          .check(requireTargets)
+          .coerce("id", idListCoercion)
+          .coerce("match", whereCoercion),
+      handler: withDataLock(async (argv) => {
+        startLoadingMessage("Deleting instruction");
+        try {
+          const instructions = await loadInstructions();
+          const targets = selectTargets(instructions, argv, {
+            command: "delete",
+            verb: "delete",
+          });
+          if (!targets) return;
+          stopLoadingMessage();
+          const confirmed = isBatch(argv)
+            ? await confirmBatch(
+                targets,
+                chalk.red.bold(
+                  `⚠️  Are you sure you want to delete these ${targets.length} instructions?`
+                )
+              )
+            : await promptConfirmation(
+                chalk.red.bold(
+                  `⚠️  Are you sure you want to delete instruction #${targets[0].id}?`
+                )
+              );
+          if (confirmed) {
+            const activeSubtasks = collectSubtasks(
+              instructions,
+              targets,
+              (inst) => !inst.isDeleted
+            );
+            const cascade =
+              activeSubtasks.length > 0 &&
+              (await promptConfirmation(
+                chalk.red(
+                  `⚠️  Also delete ${isBatch(argv) ? "their" : "its"} ${activeSubtasks.length} subtask(s)?`
+                )
+              ));
+            await startJournalEntry("delete");
+            const deletedAt = new Date().toISOString();
+            const deleted = [...targets, ...(cascade ? activeSubtasks : [])];
+            for (const inst of deleted) {
+              inst.isDeleted = true;
+              inst.deletedAt = deletedAt;
             }
-            instToEdit.deadline = deadlineDate.toISOString();
-            changed = true;
-          }
-
-          if (changed) {
-            await pushToUndoStack("edit");
-            await clearRedoStack();
             await saveInstructions(instructions);
-            console.log(chalk.green.bold("\n✅ Instruction Updated"));
-            console.log(`   - ID: ${argv.id}`);
-            console.log(
-              chalk.blue("💡 Tip: Use 'inst show' to see your changes.")
-            );
-          } else {
-            console.log(
+            emitJson({ command: "delete", deleted });
+            if (isBatch(argv)) {
+              print(
+                chalk.green.bold(`\n✅ ${targets.length} Instructions Deleted`)
+              );
+              print(`   - IDs: ${formatIdList(targets)}`);
+            } else {
+              print(chalk.green.bold(`\n✅ Instruction Deleted`));
+              print(`   - ID: ${targets[0].id}`);
+            }
+            if (cascade) {
+              print(`   - Subtasks deleted: ${formatIdList(activeSubtasks)}`);
+            }
+            print(
               chalk.yellow(
-                `\nℹ️  No changes provided. To edit, supply an option like --priority or --instruction.`
+                `💡 Tip: Use 'inst recover --id ${targets.map((inst) => inst.id).join(",")}' to restore ${isBatch(argv) ? "them" : "it"}.`
               )
             );
-            console.log(chalk.green(`   Example: ${commandExamples.edit}`));
+          } else {
+            print(chalk.yellow("\nOperation cancelled."));
+            emitJsonError("delete", "CANCELLED", "Operation cancelled.");
           }
         } finally {
           stopLoadingMessage();
         }
-      },
+      }),
     })
     .command({
-      command: "mark",
-      aliases: ["m"],
-      describe: "Mark an instruction with a new status.",
+      command: "recover",
+      aliases: ["rec"],
+      describe: "Recover one or more deleted instructions.",
       builder: (yargs) =>
         yargs
           .option("id", {
             alias: "i",
-            describe: "The ID to mark",
-            type: "number",
+            describe: "ID(s) to recover, e.g. 3,5,8-12",
+            type: "string",
             requiresArg: true,
           })
-          .option("status", {
-            alias: "s",
-            describe: "The new status",
+          .option("match", {
+            describe:
+              "Recover every deleted instruction matching this expression",
             type: "string",
-            choices: Object.keys(CONFIG.STATUS_SYMBOLS),
             requiresArg: true,
           })
-          .demandOption(["id", "status"]),
-      handler: async (argv) => {
-        startLoadingMessage("Updating status");
+          .conflicts("id", "match")
+          .check(requireTargets)
+          .coerce("id", idListCoercion)
+          .coerce("match", whereCoercion),
+      handler: withDataLock(async (argv) => {
+        startLoadingMessage("Recovering instruction");
         try {
           const instructions = await loadInstructions();
-          const instIndex = instructions.findIndex(
-            (inst) => inst.id === argv.id
-          );
-          if (instIndex === -1) {
-            console.log(
-              chalk.yellow(
-                `ℹ️ This ID does not exist. No instruction found with ID: ${argv.id}`
-              )
-            );
+          const targets = selectTargets(instructions, argv, {
+            command: "recover",
+            verb: "recover",
+            deleted: true,
+          });
+          if (!targets) return;
+          if (
+            isBatch(argv) &&
+            !(await confirmBatch(
+              targets,
+              chalk.blue(`Recover these ${targets.length} instructions?`)
+            ))
+          ) {
+            print(chalk.yellow("\nOperation cancelled."));
+            emitJsonError("recover", "CANCELLED", "Operation cancelled.");
             return;
           }
-          if (instructions[instIndex].isDeleted) {
-            console.log(
-              chalk.yellow(
-                `ℹ️  Cannot mark a deleted instruction. Please recover it first.`
+          const deletedSubtasks = collectSubtasks(
+            instructions,
+            targets,
+            (inst) => inst.isDeleted
+          );
+          let cascade = false;
+          if (deletedSubtasks.length > 0) {
+            stopLoadingMessage();
+            cascade = await promptConfirmation(
+              chalk.blue(
+                `💡 Also recover ${isBatch(argv) ? "their" : "its"} ${deletedSubtasks.length} deleted subtask(s)?`
               )
             );
-            return;
           }
-          if (instructions[instIndex].status === argv.status) {
-            console.log(
-              chalk.yellow(
-                `\nℹ️  Instruction #${argv.id} is already marked as "${argv.status}". No change made.\n`
-              )
-            );
-            return;
+          await startJournalEntry("recover");
+          const recovered = [...targets, ...(cascade ? deletedSubtasks : [])];
+          for (const inst of recovered) {
+            inst.isDeleted = false;
+            inst.deletedAt = null;
           }
-
-          await pushToUndoStack("mark");
-          await clearRedoStack();
-          const oldStatus = instructions[instIndex].status;
-          instructions[instIndex].status = argv.status;
           await saveInstructions(instructions);
-
-          stopLoadingMessage();
-          if (argv.status === "completed") {
-            const animation = chalkAnimation.rainbow(
-              `\n🎉 Instruction #${argv.id} Completed! Well done! 🎉`
+          emitJson({ command: "recover", recovered });
+          if (isBatch(argv)) {
+            print(
+              chalk.green.bold(`\n✅ ${targets.length} Instructions Recovered`)
             );
-            await new Promise((resolve) => setTimeout(resolve, 2000));
-            animation.stop();
+            print(`   - IDs: ${formatIdList(targets)}`);
           } else {
-            console.log(
-              chalk.green.bold(`\n✅ Status Updated for ID: ${argv.id}`)
-            );
-            console.log(`   - From: ${oldStatus}`);
-            console.log(`   - To: ${argv.status}`);
+            print(chalk.green.bold(`\n✅ Instruction Recovered`));
+            print(`   - ID: ${targets[0].id}`);
+          }
+          if (cascade) {
+            print(`   - Subtasks recovered: ${formatIdList(deletedSubtasks)}`);
           }
         } finally {
           stopLoadingMessage();
         }
+      }),
+    })
+    .command({
+      command: "trash [action]",
+      describe: "List or empty the trash (deleted instructions).",
+      builder: (yargs) =>
+        yargs
+          .positional("action", {
+            describe: "What to do",
+            type: "string",
+            choices: ["list", "empty"],
+            default: "list",
+          })
+          .option("older-than", {
+            describe: "Only items deleted longer ago than this (e.g. 30d)",
+            type: "string",
+            requiresArg: true,
+          })
+          .coerce("older-than", durationCoercion("older-than")),
+      handler: async (argv) => {
+        if (argv.action === "empty") return await emptyTrash(argv);
+        const cutoff = argv.olderThan && new Date(Date.now() - argv.olderThan);
+
+        const trash = (await loadInstructions())
+          .filter((inst) => isInTrashSince(inst, cutoff))
+          .sort((a, b) =>
+            String(b.deletedAt ?? "").localeCompare(String(a.deletedAt ?? ""))
+          );
+        const retention = getSetting(await loadSettings(), "trash-retention");
+        emitJson({
+          command: "trash",
+          retention,
+          count: trash.length,
+          instructions: trash,
+        });
+        if (trash.length === 0) {
+          print(chalk.yellow("\n🗑️  The trash is empty."));
+          return;
+        }
+        const restored =
+          retention === "off"
+            ? new Set()
+            : restoredFromAutoPurge(await readJournal());
+        print(chalk.bold.cyan(`\n🗑️  Trash (${trash.length})`));
+        for (const inst of trash) {
+          const deleted = inst.deletedAt
+            ? `deleted ${new Date(inst.deletedAt).toLocaleString()}`
+            : "deletion date unknown";
+          const purgeAt = restored.has(`${inst.id}@${inst.deletedAt}`)
+            ? " · kept until you empty the trash"
+            : retention !== "off" && inst.deletedAt
+              ? ` · purged after ${new Date(new Date(inst.deletedAt).getTime() + parseDuration(retention)).toLocaleDateString()}`
+              : "";
+          print(
+            `   ${chalk.bold(`#${inst.id}`)} ${chalk.gray(`${inst.source}:`)} ${inst.text} ${chalk.gray(`(${deleted}${purgeAt})`)}`
+          );
+        }
+        print(
+          chalk.blue(
+            "\n💡 Tip: 'inst recover --id <IDs>' restores items; 'inst trash empty' or 'inst purge --id <IDs>' removes them for good."
+          )
+        );
       },
     })
     .command({
-      command: "delete",
-      aliases: ["del", "d"],
-      describe: "Mark an instruction as deleted.",
+      command: "purge",
+      describe: "Permanently remove deleted instructions.",
       builder: (yargs) =>
         yargs
           .option("id", {
             alias: "i",
-            describe: "ID to delete",
-            type: "number",
+            describe: "ID(s) in the trash to remove, e.g. 3,5,8-12",
+            type: "string",
             requiresArg: true,
           })
-          .demandOption("id"),
-      handler: async (argv) => {
-        startLoadingMessage("Deleting instruction");
-        try {
-          const instructions = await loadInstructions();
-          const instIndex = instructions.findIndex(
-            (inst) => inst.id === argv.id && !inst.isDeleted
-          );
-          if (instIndex === -1) {
-            console.log(
-              chalk.yellow(
-                `ℹ️ This ID does not exist or is already deleted. No active instruction found with ID: ${argv.id}`
+          .option("match", {
+            describe:
+              "Remove every deleted instruction matching this expression",
+            type: "string",
+            requiresArg: true,
+          })
+          .conflicts("id", "match")
+          .check(requireTargets)
+          .coerce("id", idListCoercion)
+          .coerce("match", whereCoercion),
+      handler: withDataLock(async (argv) => {
+        const instructions = await loadInstructions();
+        const targets = selectTargets(instructions, argv, {
+          command: "purge",
+          verb: "purge",
+          deleted: true,
+        });
+        if (!targets) return;
+        const confirmed = isBatch(argv)
+          ? await confirmBatch(
+              targets,
+              chalk.red.bold(
+                `⚠️  Permanently remove these ${targets.length} instructions?`
+              )
+            )
+          : await promptConfirmation(
+              chalk.red.bold(
+                `⚠️  Permanently remove instruction #${targets[0].id}?`
               )
             );
-            return;
-          }
+        if (!confirmed) {
+          print(chalk.yellow("\nOperation cancelled."));
+          emitJsonError("purge", "CANCELLED", "Operation cancelled.");
+          return;
+        }
+        await startJournalEntry("purge");
+        const { remaining, detached } = purgeInstructions(
+          instructions,
+          targets
+        );
+        await saveInstructions(remaining);
+        emitJson({
+          command: "purge",
+          purged: targets,
+          detached: detached.map((inst) => inst.id),
+        });
+        print(chalk.green.bold("\n✅ Permanently Removed"));
+        print(`   - IDs: ${formatIdList(targets)}`);
+        if (detached.length > 0) {
+          print(`   - Now top-level: ${formatIdList(detached)}`);
+        }
+        print(chalk.yellow("💡 Tip: Use 'inst undo' to bring them back."));
+      }),
+    })
+    .command({
+      command: "reset",
+      describe: "Erase ALL instructions permanently.",
+      handler: withDataLock(async () => {
+        startLoadingMessage("Resetting database");
+        try {
           stopLoadingMessage();
+          const erased = (await loadInstructions()).length;
           if (
             await promptConfirmation(
               chalk.red.bold(
-                `⚠️  Are you sure you want to delete instruction #${argv.id}?`
+                "⚠️ DANGER: This will erase ALL instructions. Are you sure?"
               )
             )
           ) {
-            await pushToUndoStack("delete");
-            await clearRedoStack();
-            instructions[instIndex].isDeleted = true;
-            instructions[instIndex].deletedAt = new Date().toISOString();
-            await saveInstructions(instructions);
-            console.log(chalk.green.bold(`\n✅ Instruction Deleted`));
-            console.log(`   - ID: ${argv.id}`);
-            console.log(
+            await startJournalEntry("reset");
+            await saveInstructions([]);
+            emitJson({ command: "reset", erased });
+            print(chalk.green.bold("\n✅ All Instructions Erased"));
+            print(
               chalk.yellow(
-                `💡 Tip: Use 'inst recover --id ${argv.id}' to restore it.`
+                "💡 Tip: Use 'inst undo' immediately to revert this action."
               )
             );
           } else {
-            console.log(chalk.yellow("\nOperation cancelled."));
+            print(chalk.yellow("\nOperation cancelled."));
+            emitJsonError("reset", "CANCELLED", "Operation cancelled.");
           }
         } finally {
           stopLoadingMessage();
         }
-      },
+      }),
+    })
+    .command({
+      command: "undo",
+      describe: "Revert recent changes.",
+      builder: (yargs) =>
+        yargs
+          .option("steps", {
+            describe: "How many changes to undo",
+            type: "number",
+          })
+          .option("to", {
+            describe: "Undo back to and including this journal entry",
+            type: "number",
+          })
+          .coerce("steps", stepsCoercion)
+          .coerce("to", journalEntryCoercion)
+          .conflicts("steps", "to"),
+      handler: withDataLock((argv) => stepThroughJournal("undo", argv)),
+    })
+    .command({
+      command: "redo",
+      describe: "Re-apply undone changes.",
+      builder: (yargs) =>
+        yargs
+          .option("steps", {
+            describe: "How many changes to redo",
+            type: "number",
+          })
+          .option("to", {
+            describe: "Redo up to and including this journal entry",
+            type: "number",
+          })
+          .coerce("steps", stepsCoercion)
+          .coerce("to", journalEntryCoercion)
+          .conflicts("steps", "to"),
+      handler: withDataLock((argv) => stepThroughJournal("redo", argv)),
+    })
+    .command({
+      command: "history",
+      describe: "Show the change history.",
+      builder: (yargs) =>
+        yargs
+          .option("id", {
+            alias: "i",
+            describe: "Only changes to this instruction",
+            type: "number",
+          })
+          .option("from", {
+            describe: "Only changes on or after this date",
+            type: "string",
+          })
+          .option("to", {
+            describe: "Only changes on or before this date",
+            type: "string",
+          })
+          .option("command", {
+            describe: "Only changes made by this command (e.g. mark)",
+            type: "string",
+          })
+          .option("limit", {
+            describe: "Show only the most recent N entries",
+            type: "number",
+          })
+          .option("export", {
+            describe: "Write the history to a file in Downloads",
+            type: "string",
+            choices: ["csv", "json"],
+          })
+          .option("open", {
+            describe: "Open the exported file automatically",
+            type: "boolean",
+          })
+          .coerce("from", dateBoundaryCoercion("from"))
+          .coerce("to", dateBoundaryCoercion("to"))
+          .coerce("limit", countCoercion("limit")),
+      handler: async (argv) => {
+        const entries = filterHistory(await readJournal(), argv);
+        if (entries.length === 0) {
+          print(chalk.yellow("\n📭 No changes match your filters."));
+          emitJsonError(
+            "history",
+            "NO_RESULTS",
+            "No changes match the given filters."
+          );
+          return;
+        }
+
+        if (argv.export) {
+          const filePath = path.join(
+            getDownloadsFolder(),
+            `inst_history_${Date.now()}.${argv.export}`
+          );
+          await writeFile(
+            filePath,
+            argv.export === "csv"
+              ? buildHistoryCsv(entries)
+              : buildHistoryJson(entries),
+            "utf-8"
+          );
+          emitJson({
+            command: "history",
+            format: argv.export,
+            path: filePath,
+            count: entries.length,
+          });
+          print(chalk.green.bold(`\n✅ History Exported`));
+          print(`   - Entries: ${entries.length}`);
+          print(`   - Format: ${argv.export.toUpperCase()}`);
+          print(`   - Path: ${filePath}`);
+          if (argv.open) openFile(filePath);
+          return;
+        }
+
+        emitJson({
+          command: "history",
+          count: entries.length,
+          entries: entries.map(historyJsonEntry),
+        });
+        print(
+          chalk.bold.cyan(
+            `\n📜 Change History${argv.id === undefined ? "" : ` for ID ${argv.id}`}`
+          )
+        );
+        for (const entry of entries) {
+          previewJournalEntry(entry, "redo", Infinity);
+        }
+        print(
+          chalk.blue(
+            `\n💡 Tip: Use 'inst undo --to <entry>' to roll back to before an entry.`
+          )
+        );
+      },
+    })
+    .command({
+      command: "doctor",
+      describe: "Check the data file and repair damaged records.",
+      builder: (yargs) =>
+        yargs.option("fix", {
+          describe: "Apply every repair without asking",
+          type: "boolean",
+          default: false,
+        }),
+      handler: withDataLock(async (argv) => {
+        const raw = fs.existsSync(CONFIG.DATA_PATH)
+          ? await readFile(CONFIG.DATA_PATH, "utf-8")
+          : "[]";
+        let data;
+        try {
+          data = parseDataFile(raw);
+        } catch (error) {
+          // The file itself is unreadable: rebuild what the change journal
+          // recorded, or start again with an empty list.
+          print(
+            chalk.red.bold(
+              `\n❌ ${CONFIG.DATA_PATH} could not be parsed (${error.message}).`
+            )
+          );
+          const {
+            instructions: rebuilt,
+            baseline,
+            complete,
+          } = await rebuildFromJournal();
+          const source =
+            baseline && baseline !== "snapshot"
+              ? `${baseline} and the change journal`
+              : "the change journal";
+          const fix =
+            rebuilt.length > 0
+              ? `rebuild ${rebuilt.length} instruction(s) from ${source}`
+              : "start again with an empty list";
+          if (!complete) {
+            print(
+              chalk.yellow(
+                "⚠️  The journal has no full snapshot of the list, so instructions that were never changed since it started may be missing."
+              )
+            );
+          }
+          if (
+            !argv.fix &&
+            !(await promptConfirmation(chalk.yellow(`Repair: ${fix}?`)))
+          ) {
+            print(chalk.yellow("\nNo changes made."));
+            emitJsonError(
+              "doctor",
+              "CORRUPT_DATA",
+              `${CONFIG.DATA_PATH} could not be parsed (${error.message}).`
+            );
+            return;
+          }
+          const copyPath = await keepCorruptCopy(raw);
+          await saveInstructions(rebuilt);
+          emitJson({
+            command: "doctor",
+            path: CONFIG.DATA_PATH,
+            corrupt: true,
+            restored: rebuilt.length,
+            complete,
+            corruptCopy: copyPath,
+          });
+          print(
+            complete
+              ? chalk.green.bold("\n✅ Data File Repaired")
+              : chalk.yellow.bold("\n⚠️  Data File Partially Repaired")
+          );
+          print(`   - Repair: ${fix}`);
+          print(`   - Damaged copy: ${copyPath}`);
+          if (!complete) {
+            print(
+              chalk.yellow(
+                "💡 Check the list; the damaged copy may still hold what is missing."
+              )
+            );
+          }
+          return;
+        }
+
+        if (data.version > DATA_SCHEMA_VERSION) {
+          const message = `${CONFIG.DATA_PATH} uses schema version ${data.version}, but this version of inst only understands up to ${DATA_SCHEMA_VERSION}.`;
+          print(chalk.red.bold(`\n❌ ${message}`));
+          print(chalk.yellow("💡 Update inst to check this list."));
+          emitJsonError("doctor", "UNSUPPORTED_VERSION", message);
+          return;
+        }
+        // Older files are upgraded (with a backup) before being checked
+        const instructions =
+          data.version < DATA_SCHEMA_VERSION
+            ? await loadInstructions()
+            : data.instructions;
+        const checked = instructions.length;
+        const problems = diagnoseInstructions(instructions);
+        print(
+          chalk.bold.cyan(
+            `\n🩺 Checked ${checked} instruction(s) in ${CONFIG.DATA_PATH}`
+          )
+        );
+        if (problems.length === 0) {
+          print(chalk.green("\n✅ No problems found."));
+          emitJson({
+            command: "doctor",
+            path: CONFIG.DATA_PATH,
+            checked,
+            problems: [],
+            remaining: 0,
+          });
+          return;
+        }
+
+        print(chalk.red(`\nFound ${problems.length} problem(s):`));
+        for (const problem of problems) {
+          print(
+            `   ❌ ${chalk.bold(problem.label)}${problem.field ? ` ${chalk.cyan(problem.field)}` : ""}: ${problem.message} ${chalk.gray(`→ ${problem.fix}`)}`
+          );
+        }
+
+        const accepted = new Set();
+        if (argv.fix) {
+          problems.forEach((problem) => accepted.add(problem));
+        } else {
+          print("");
+          for (const problem of problems) {
+            if (
+              await promptConfirmation(
+                chalk.yellow(
+                  `Repair ${[problem.label, problem.field].filter(Boolean).join(" ")}: ${problem.fix}?`
+                )
+              )
+            ) {
+              accepted.add(problem);
+            }
+          }
+        }
+
+        if (accepted.size > 0) {
+          await startJournalEntry("doctor");
+          for (const problem of accepted) problem.apply(instructions);
+          await saveInstructions(instructions);
+        }
+        const remaining = diagnoseInstructions(instructions).length;
+        if (remaining > 0) process.exitCode = 1;
+
+        emitJson({
+          command: "doctor",
+          path: CONFIG.DATA_PATH,
+          checked,
+          problems: problems.map((problem) => ({
+            label: problem.label,
+            field: problem.field,
+            message: problem.message,
+            fix: problem.fix,
+            repaired: accepted.has(problem),
+          })),
+          remaining,
+        });
+        if (accepted.size > 0) {
+          print(chalk.green.bold(`\n✅ Repaired ${accepted.size} problem(s)`));
+          print(chalk.yellow("💡 Tip: Use 'inst undo' to revert the repairs."));
+        }
+        if (remaining > 0) {
+          print(
+            chalk.yellow(
+              `\n⚠️  ${remaining} problem(s) remain. Run 'inst doctor --fix' to repair them.`
+            )
+          );
+        }
+      }),
     })
     .command({
-      command: "recover",
-      aliases: ["rec"],
-      describe: "Recover a deleted instruction.",
+      command: "config [action] [key] [value]",
+      describe: "View or change your saved preferences.",
       builder: (yargs) =>
         yargs
-          .option("id", {
-            alias: "i",
-            describe: "ID to recover",
-            type: "number",
-            requiresArg: true,
+          .positional("action", {
+            describe: "What to do",
+            type: "string",
+            choices: ["list", "get", "set", "unset"],
+            default: "list",
           })
-          .demandOption("id"),
-      handler: async (argv) => {
-        startLoadingMessage("Recovering instruction");
-        try {
-          const instructions = await loadInstructions();
-          const instIndex = instructions.findIndex(
-            (inst) => inst.id === argv.id
-          );
-          if (instIndex === -1 || !instructions[instIndex].isDeleted) {
-            console.log(
-              chalk.yellow(
-                `ℹ️ This ID does not exist or is not deleted. No deleted instruction found with ID: ${argv.id}`
-              )
+          .positional("key", { describe: "Setting name", type: "string" })
+          .positional("value", { describe: "New value", type: "string" }),
+      handler: withDataLock(async (argv) => {
+        const settings = await loadSettings();
+        if (argv.action === "list") {
+          emitJson({
+            command: "config",
+            settings: Object.fromEntries(
+              Object.keys(SETTINGS_SCHEMA).map((key) => [
+                key,
+                getSetting(settings, key),
+              ])
+            ),
+          });
+          print(chalk.bold.cyan("\n⚙️  Settings"));
+          for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+            const isDefault = settings[key] === undefined;
+            print(
+              `   ${chalk.cyan(key.padEnd(12))} ${getSetting(settings, key)}${isDefault ? chalk.gray(" (default)") : ""}  ${chalk.gray(`- ${schema.describe}`)}`
             );
+          }
+          print(
+            chalk.blue(`\n💡 Tip: Change one with '${commandExamples.config}'.`)
+          );
+          return;
+        }
+
+        const schema = SETTINGS_SCHEMA[argv.key];
+        if (!schema) {
+          print(
+            chalk.red.bold(
+              `❌ Unknown setting '${argv.key ?? ""}'. Available: ${Object.keys(SETTINGS_SCHEMA).join(", ")}.`
+            )
+          );
+          const suggestion =
+            argv.key && findSuggestion(argv.key, Object.keys(SETTINGS_SCHEMA));
+          if (suggestion) {
+            print(chalk.yellow(`💡 Did you mean '${suggestion}'?`));
+          }
+          emitJsonError(
+            "config",
+            "INVALID_INPUT",
+            `Unknown setting '${argv.key ?? ""}'.`
+          );
+          return;
+        }
+
+        if (argv.action === "get") {
+          emitJson({
+            command: "config",
+            key: argv.key,
+            value: getSetting(settings, argv.key),
+          });
+          print(getSetting(settings, argv.key));
+        } else if (argv.action === "unset") {
+          delete settings[argv.key];
+          await saveSettings(settings);
+          emitJson({ command: "config", key: argv.key, value: schema.default });
+          print(chalk.green.bold("\n✅ Setting Reset"));
+          print(`   - ${argv.key}: ${schema.default} (default)`);
+        } else {
+          const value = parseSettingValue(schema, argv.value);
+          if (value === null) {
+            const message = `Invalid value for '${argv.key}'. ${
+              schema.expected ?? `Choices: ${schema.choices.join(", ")}.`
+            }`;
+            print(chalk.red.bold(`❌ ${message}`));
+            emitJsonError("config", "INVALID_INPUT", message);
             return;
           }
-          await pushToUndoStack("recover");
-          await clearRedoStack();
-          instructions[instIndex].isDeleted = false;
-          instructions[instIndex].deletedAt = null;
-          await saveInstructions(instructions);
-          console.log(chalk.green.bold(`\n✅ Instruction Recovered`));
-          console.log(`   - ID: ${argv.id}`);
-        } finally {
-          stopLoadingMessage();
+          settings[argv.key] = value;
+          await saveSettings(settings);
+          emitJson({ command: "config", key: argv.key, value });
+          print(chalk.green.bold("\n✅ Setting Saved"));
+          print(`   - ${argv.key}: ${value}`);
         }
-      },
+      }, getSettingsLockPath),
     })
     .command({
-      command: "reset",
-      describe: "Erase ALL instructions permanently.",
-      handler: async () => {
-        startLoadingMessage("Resetting database");
-        try {
-          stopLoadingMessage();
-          if (
-            await promptConfirmation(
-              chalk.red.bold(
-                "⚠️ DANGER: This will erase ALL instructions. Are you sure?"
-              )
-            )
-          ) {
-            await pushToUndoStack("reset");
-            await clearRedoStack();
-            await saveInstructions([]);
-            console.log(chalk.green.bold("\n✅ All Instructions Erased"));
-            console.log(
-              chalk.yellow(
-                "💡 Tip: Use 'inst undo' immediately to revert this action."
-              )
-            );
-          } else {
-            console.log(chalk.yellow("\nOperation cancelled."));
-          }
-        } finally {
-          stopLoadingMessage();
+      command: "init",
+      describe: "Create a project-local instruction store here.",
+      handler: () => {
+        const storeDir = path.join(process.cwd(), PROJECT_STORE_NAME);
+        if (fs.existsSync(storeDir)) {
+          const message =
+            storeDir === globalDataDir
+              ? `${storeDir} is your global store.`
+              : `A project store already exists at ${storeDir}.`;
+          print(chalk.yellow(`ℹ️  ${message}`));
+          emitJsonError("init", "NO_CHANGE", message);
+          return;
         }
+        useDataLocation(storeDir, DEFAULT_PROFILE);
+        ensureDataFilesExist();
+        emitJson({ command: "init", path: storeDir });
+        print(chalk.green.bold("\n✅ Project Store Created"));
+        print(`   - Path: ${storeDir}`);
+        print(
+          chalk.blue(
+            "💡 Tip: Commands run here or in any subdirectory now use this store. Add --global to reach your personal list."
+          )
+        );
       },
     })
     .command({
-      command: "undo",
-      describe: "Revert the last change.",
-      handler: async () => {
-        const undoStack = await readStack(CONFIG.UNDO_STACK_FILE);
-        if (undoStack.length === 0) {
-          console.log(chalk.yellow("ℹ️  Nothing to undo."));
+      command: "profile [action] [name]",
+      describe: "Manage separate instruction lists.",
+      builder: (yargs) =>
+        yargs
+          .positional("action", {
+            describe: "What to do",
+            type: "string",
+            choices: ["list", "create", "use", "delete"],
+            default: "list",
+          })
+          .positional("name", { describe: "Profile name", type: "string" }),
+      handler: withDataLock(async (argv) => {
+        const profiles = listProfiles();
+        if (argv.action === "list") {
+          const counts = await Promise.all(
+            profiles.map(async (profile) => {
+              try {
+                const file = path.join(getProfileDir(profile), "inst.json");
+                return parseDataFile(
+                  await readFile(file, "utf-8")
+                ).instructions.filter((inst) => !inst.isDeleted).length;
+              } catch {
+                return 0;
+              }
+            })
+          );
+          emitJson({
+            command: "profile",
+            active: activeProfile,
+            dataDir: CONFIG.DATA_DIR,
+            profiles: profiles.map((name, index) => ({
+              name,
+              active: name === activeProfile,
+              instructions: counts[index],
+            })),
+          });
+          print(chalk.bold.cyan("\n👤 Profiles"));
+          profiles.forEach((profile, index) => {
+            const isActive = profile === activeProfile;
+            print(
+              `   ${isActive ? chalk.green("●") : " "} ${(isActive ? chalk.green.bold : chalk.white)(profile.padEnd(16))} ${chalk.gray(`${counts[index]} instruction${counts[index] === 1 ? "" : "s"}`)}`
+            );
+          });
+          print(chalk.gray(`\n   Data directory: ${CONFIG.DATA_DIR}`));
           return;
         }
-        const lastCommand = undoStack[undoStack.length - 1].command;
-        if (
-          await promptConfirmation(
-            chalk.yellow(`Undo the last '${lastCommand}' operation?`)
-          )
-        ) {
-          startLoadingMessage("Undoing operation");
-          const undoneCommand = await popFromUndoStack();
-          stopLoadingMessage();
-          if (undoneCommand) {
-            console.log(chalk.green.bold(`\n✅ Operation Undone`));
-            console.log(`   - Reverted: '${undoneCommand}'`);
-            console.log(
-              chalk.blue(`💡 Tip: Use 'inst redo' to re-apply the change.`)
+
+        const name = argv.name?.toLowerCase();
+        if (!name || !isValidProfileName(name)) {
+          const message = name
+            ? `Invalid profile name '${argv.name}'. Use letters, numbers, '-' or '_'.`
+            : `Please name the profile, e.g. 'inst profile ${argv.action} work'.`;
+          print(chalk.red.bold(`❌ ${message}`));
+          emitJsonError("profile", "INVALID_INPUT", message);
+          return;
+        }
+        if (argv.action === "create") {
+          if (profiles.includes(name)) {
+            print(chalk.yellow(`ℹ️  Profile '${name}' already exists.`));
+            emitJsonError(
+              "profile",
+              "NO_CHANGE",
+              `Profile '${name}' already exists.`
             );
+            return;
           }
-        } else {
-          console.log(chalk.yellow("\nOperation cancelled."));
+          useDataLocation(CONFIG.DATA_DIR, name);
+          ensureDataFilesExist();
+          emitJson({ command: "profile", created: name });
+          print(chalk.green.bold("\n✅ Profile Created"));
+          print(`   - Name: ${name}`);
+          print(
+            chalk.blue(`💡 Tip: Switch to it with 'inst profile use ${name}'.`)
+          );
+          return;
         }
-      },
-    })
-    .command({
-      command: "redo",
-      describe: "Re-apply the last undone change.",
-      handler: async () => {
-        const redoStack = await readStack(CONFIG.REDO_STACK_FILE);
-        if (redoStack.length === 0) {
-          console.log(chalk.yellow("ℹ️  Nothing to redo."));
+
+        if (!profiles.includes(name)) {
+          const suggestion = findSuggestion(name, profiles);
+          print(
+            chalk.red.bold(
+              `❌ No profile named '${name}'.${suggestion ? ` Did you mean '${suggestion}'?` : ""}`
+            )
+          );
+          emitJsonError("profile", "NOT_FOUND", `No profile named '${name}'.`);
+          return;
+        }
+        const settings = await loadSettings();
+        if (argv.action === "use") {
+          if (name === DEFAULT_PROFILE) delete settings.profile;
+          else settings.profile = name;
+          await saveSettings(settings);
+          emitJson({ command: "profile", active: name });
+          print(chalk.green.bold("\n✅ Profile Switched"));
+          print(`   - Active: ${name}`);
+          return;
+        }
+
+        if (name === DEFAULT_PROFILE || name === activeProfile) {
+          const message =
+            name === DEFAULT_PROFILE
+              ? "The default profile cannot be deleted."
+              : `'${name}' is the active profile. Switch to another one first.`;
+          print(chalk.red.bold(`❌ ${message}`));
+          emitJsonError("profile", "INVALID_INPUT", message);
           return;
         }
-        const nextCommand = redoStack[redoStack.length - 1].command;
         if (
-          await promptConfirmation(
-            chalk.blue(`Redo the last '${nextCommand}' operation?`)
-          )
+          !(await promptConfirmation(
+            chalk.red.bold(
+              `⚠️  Permanently delete profile '${name}' and its undo history? This cannot be undone.`
+            )
+          ))
         ) {
-          startLoadingMessage("Redoing operation");
-          const redoneCommand = await popFromRedoStack();
-          stopLoadingMessage();
-          if (redoneCommand) {
-            console.log(chalk.green.bold(`\n✅ Operation Redone`));
-            console.log(`   - Re-applied: '${redoneCommand}'`);
-          }
-        } else {
-          console.log(chalk.yellow("\nOperation cancelled."));
+          print(chalk.yellow("\nOperation cancelled."));
+          emitJsonError("profile", "CANCELLED", "Operation cancelled.");
+          return;
         }
-      },
+        const profileLock = path.join(getProfileDir(name), "inst.lock");
+        if (fs.existsSync(profileLock) && !isLockStale(profileLock)) {
+          const message = `Profile '${name}' is in use by another inst command. Try again in a moment.`;
+          print(chalk.red.bold(`❌ ${message}`));
+          emitJsonError("profile", "LOCKED", message);
+          process.exitCode = 1;
+          return;
+        }
+        fs.rmSync(getProfileDir(name), { recursive: true, force: true });
+        emitJson({ command: "profile", deleted: name });
+        print(chalk.green.bold("\n✅ Profile Deleted"));
+        print(`   - Name: ${name}`);
+      }, getSettingsLockPath),
     })
     .command({
       command: "manual",
@@ -1874,71 +7460,39 @@ async function main() {
       command: "total",
       aliases: ["t"],
       describe: "Count instructions based on filters.",
-      builder: (yargs) =>
-        yargs
-          .option("status", {
-            describe: "Filter by status",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("all", { describe: "Include deleted items", type: "boolean" })
-          .option("date", {
-            describe: "Filter by date",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("day", {
-            describe: "Filter by day name",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("month", {
-            describe: "Filter by month (name or 1-12)",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("week", {
-            describe: "Filter by week of month (1-5)",
-            type: "number",
-            requiresArg: true,
-          })
-          .option("year", {
-            describe: "Filter by year",
-            type: "number",
-            requiresArg: true,
-          })
-          .option("priority", {
-            describe: "Filter by priority",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("source", {
-            describe: "Filter by source",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("deadline", {
-            describe: "Filter by deadline existence",
-            type: "boolean",
-          })
-          .check(validateFilterOptions)
-          .coerce("week", weekCoercion)
-          .coerce("month", monthCoercion),
+      builder: (yargs) => withFilterOptions(yargs, { strict: false }),
       handler: async (argv) => {
         startLoadingMessage("Calculating total");
         try {
           const filtered = filterInstructions(await loadInstructions(), argv);
+          const { titleLabel } = generateFileNameAndTitle(argv);
+          const subtaskCount = flattenInstructionTree(filtered).filter(
+            ({ depth }) => depth > 0
+          ).length;
+          emitJson({
+            command: "total",
+            title: titleLabel,
+            count: filtered.length,
+            topLevel: filtered.length - subtaskCount,
+            subtasks: subtaskCount,
+          });
           if (filtered.length === 0) {
             showNoResultsFeedback();
             return;
           }
-          const { titleLabel } = generateFileNameAndTitle(argv);
-          console.log(chalk.blueBright(`\n📊 Total for: ${titleLabel}`));
-          console.log(
+          print(chalk.blueBright(`\n📊 Total for: ${titleLabel}`));
+          print(
             chalk.green.bold(
-              `   Found ${filtered.length} instruction${filtered.length === 1 ? "" : "s"}.\n`
+              `   Found ${filtered.length} instruction${filtered.length === 1 ? "" : "s"}.${subtaskCount > 0 ? "" : "\n"}`
             )
           );
+          if (subtaskCount > 0) {
+            print(
+              chalk.gray(
+                `   (${filtered.length - subtaskCount} top-level, ${subtaskCount} subtask${subtaskCount === 1 ? "" : "s"})\n`
+              )
+            );
+          }
         } finally {
           stopLoadingMessage();
         }
@@ -1949,103 +7503,73 @@ async function main() {
       aliases: ["ex"],
       describe: "Export instructions to a file.",
       builder: (yargs) =>
-        yargs
-          .option("format", {
-            describe: "Specify format for the export",
-            type: "string",
-            choices: ["pdf", "csv"],
-            demandOption: true,
-            requiresArg: true,
-          })
-          .option("open", {
-            describe: "Open the exported file automatically",
-            type: "boolean",
-          })
-          .option("status", {
-            describe: "Filter by status",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("all", { describe: "Include deleted items", type: "boolean" })
-          .option("date", {
-            describe: "Filter by date",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("day", {
-            describe: "Filter by day name",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("month", {
-            describe: "Filter by month (name or 1-12)",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("week", {
-            describe: "Filter by week of month (1-5)",
-            type: "number",
-            requiresArg: true,
-          })
-          .option("year", {
-            describe: "Filter by year",
-            type: "number",
-            requiresArg: true,
-          })
-          .option("priority", {
-            describe: "Filter by priority",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("source", {
-            describe: "Filter by source",
-            type: "string",
-            requiresArg: true,
-          })
-          .option("deadline", {
-            describe: "Filter by deadline existence",
-            type: "boolean",
-          })
-          .check(validateFilterOptions)
-          .coerce("week", weekCoercion)
-          .coerce("month", monthCoercion),
+        withSortOptions(
+          withFilterOptions(
+            yargs
+              .option("format", {
+                describe: "Specify format for the export",
+                type: "string",
+                choices: optionChoices.format,
+                demandOption: true,
+                requiresArg: true,
+              })
+              .option("open", {
+                describe: "Open the exported file automatically",
+                type: "boolean",
+              }),
+            { strict: false }
+          )
+        ),
       handler: async (argv) => {
         startLoadingMessage(`Exporting to ${argv.format.toUpperCase()}`);
         try {
-          let instructions = filterInstructions(await loadInstructions(), argv);
+          let instructions = sortAndPageInstructions(
+            filterInstructions(await loadInstructions(), argv),
+            argv
+          );
           if (instructions.length === 0) {
             showNoResultsFeedback();
+            emitJsonError(
+              "export",
+              "NO_RESULTS",
+              "No instructions match the given filters."
+            );
             return;
           }
           const { filenameLabel, titleLabel } = generateFileNameAndTitle(argv);
           const filePath = path.join(
             getDownloadsFolder(),
-            `${filenameLabel}_${Date.now()}.${argv.format}`
+            `${filenameLabel}_${Date.now()}.${argv.format === "todotxt" ? "todo.txt" : argv.format}`
           );
 
           if (argv.format === "csv") {
-            const escapeCsv = (text) =>
-              `"${String(text ?? "").replace(/"/g, '""')}"`;
-            const headers =
-              "ID,Source,Instruction,Priority,Status,Deadline,Added,IsDeleted,DeletedAt\n";
-            const rows = instructions
-              .map((i) =>
-                [
-                  i.id,
-                  i.source,
-                  i.text,
-                  i.priority,
-                  i.status,
-                  i.deadline ? new Date(i.deadline).toLocaleString() : "",
-                  i.added ? new Date(i.added).toLocaleString() : "",
-                  i.isDeleted,
-                  i.deletedAt ? new Date(i.deletedAt).toLocaleString() : "",
-                ]
-                  .map(escapeCsv)
-                  .join(",")
-              )
-              .join("\n");
-            await writeFile(filePath, "\uFEFF" + headers + rows, "utf-8");
+            await writeFile(filePath, buildCsv(instructions), "utf-8");
+          } else if (argv.format === "md") {
+            await writeFile(
+              filePath,
+              buildMarkdown(instructions, titleLabel),
+              "utf-8"
+            );
+          } else if (argv.format === "ics") {
+            await writeFile(
+              filePath,
+              buildIcs(instructions, titleLabel),
+              "utf-8"
+            );
+          } else if (argv.format === "html") {
+            await writeFile(
+              filePath,
+              buildHtmlReport(instructions, titleLabel),
+              "utf-8"
+            );
+          } else if (argv.format === "todotxt") {
+            await writeFile(filePath, buildTodoTxt(instructions), "utf-8");
+          } else if (argv.format === "json") {
+            await writeFile(
+              filePath,
+              buildJsonExport(instructions, titleLabel),
+              "utf-8"
+            );
           } else {
             const pdfBytes = await createPdfReport(
               instructions,
@@ -2054,16 +7578,182 @@ async function main() {
             );
             await writeFile(filePath, pdfBytes);
           }
-          console.log(chalk.green.bold(`\n✅ Export Successful`));
-          console.log(chalk.blueBright(`   - Content: ${titleLabel}`));
-          console.log(`   - Format: ${argv.format.toUpperCase()}`);
-          console.log(`   - Path: ${filePath}`);
+          emitJson({
+            command: "export",
+            format: argv.format,
+            path: filePath,
+            title: titleLabel,
+            count: instructions.length,
+          });
+          print(chalk.green.bold(`\n✅ Export Successful`));
+          print(chalk.blueBright(`   - Content: ${titleLabel}`));
+          print(`   - Format: ${argv.format.toUpperCase()}`);
+          print(`   - Path: ${filePath}`);
           if (argv.open) openFile(filePath);
         } finally {
           stopLoadingMessage();
         }
       },
     })
+    .command({
+      command: "import <file>",
+      describe: "Import instructions from a file.",
+      builder: (yargs) =>
+        yargs
+          .positional("file", {
+            describe: "Path of the file to import",
+            type: "string",
+          })
+          .option("format", {
+            describe: "File format (inferred from the extension if omitted)",
+            type: "string",
+            choices: CONFIG.IMPORT_FORMATS,
+            requiresArg: true,
+          })
+          .option("mode", {
+            describe: "Merge rows into existing IDs or append them all",
+            type: "string",
+            choices: optionChoices.mode,
+            default: "merge",
+          })
+          .option("dry-run", {
+            describe: "Preview the changes without saving",
+            type: "boolean",
+          }),
+      handler: withDataLock(async (argv) => {
+        const format = argv.format || detectImportFormat(argv.file);
+        if (!format) {
+          print(
+            chalk.red.bold(
+              `❌ Could not tell the format of '${argv.file}'. Use --format (${CONFIG.IMPORT_FORMATS.join(", ")}).`
+            )
+          );
+          emitJsonError(
+            "import",
+            "INVALID_INPUT",
+            `Could not tell the format of '${argv.file}'.`
+          );
+          return;
+        }
+        startLoadingMessage(`Importing ${format.toUpperCase()}`);
+        try {
+          let parsed;
+          try {
+            parsed = IMPORT_PARSERS[format](await readFile(argv.file, "utf-8"));
+          } catch (error) {
+            stopLoadingMessage();
+            const message =
+              error.code === "ENOENT"
+                ? `File not found: ${argv.file}`
+                : error.message;
+            print(chalk.red.bold(`❌ ${message}`));
+            emitJsonError("import", "INVALID_INPUT", message);
+            return;
+          }
+          if (parsed.errors.length > 0) {
+            stopLoadingMessage();
+            print(
+              chalk.red.bold(
+                `❌ Import aborted: ${parsed.errors.length} invalid entr${parsed.errors.length === 1 ? "y" : "ies"}. Nothing was changed.`
+              )
+            );
+            parsed.errors
+              .slice(0, 10)
+              .forEach((error) => print(chalk.red(`   - ${error}`)));
+            if (parsed.errors.length > 10) {
+              print(chalk.gray(`   ...and ${parsed.errors.length - 10} more.`));
+            }
+            emitJsonError("import", "INVALID_INPUT", parsed.errors.join("\n"));
+            return;
+          }
+
+          const instructions = await loadInstructions();
+          const summary = applyImportRecords(
+            instructions,
+            parsed.records,
+            argv.mode
+          );
+          const hasChanges =
+            summary.added.length > 0 ||
+            summary.updated.length > 0 ||
+            summary.removed > 0;
+          if (hasChanges && !argv.dryRun) {
+            await startJournalEntry("import");
+            await saveInstructions(instructions);
+          }
+          stopLoadingMessage();
+          emitJson({
+            command: "import",
+            format,
+            file: argv.file,
+            mode: argv.mode,
+            dryRun: Boolean(argv.dryRun),
+            added: summary.added,
+            updated: summary.updated.map(({ instruction, changedFields }) => ({
+              ...instruction,
+              changedFields,
+            })),
+            unchanged: summary.unchanged,
+            reassigned: summary.reassigned,
+            unlinked: summary.unlinked,
+            removed: summary.removed,
+          });
+
+          print(
+            argv.dryRun
+              ? chalk.cyan.bold("\n🔎 Import Preview (dry run)")
+              : chalk.green.bold("\n✅ Import Complete")
+          );
+          print(`   - File: ${argv.file}`);
+          print(`   - Format: ${format.toUpperCase()}`);
+          print(`   - Mode: ${argv.mode}`);
+          if (argv.mode === "replace") {
+            print(`   - Removed: ${summary.removed} existing`);
+          }
+          print(
+            `   - Added: ${summary.added.length}${summary.added.length ? ` (${summary.added.map((inst) => `#${inst.id}`).join(", ")})` : ""}`
+          );
+          print(`   - Updated: ${summary.updated.length}`);
+          summary.updated.forEach(({ instruction, changedFields }) =>
+            print(
+              chalk.gray(
+                `      #${instruction.id}: ${changedFields.join(", ")}`
+              )
+            )
+          );
+          print(`   - Unchanged: ${summary.unchanged}`);
+          if (summary.reassigned.length > 0) {
+            print(
+              chalk.yellow(
+                `   - Reassigned IDs: ${summary.reassigned.map(({ from, to }) => `#${from} → #${to}`).join(", ")}`
+              )
+            );
+          }
+          if (summary.unlinked.length > 0) {
+            print(
+              chalk.yellow(
+                `   - Links dropped (target not in the file): ${summary.unlinked.map(({ id, link, target }) => `#${id} ${link} → #${target}`).join(", ")}`
+              )
+            );
+          }
+          if (argv.dryRun) {
+            print(
+              chalk.blue(
+                "💡 Nothing was saved. Re-run without --dry-run to apply."
+              )
+            );
+          } else if (hasChanges) {
+            print(
+              chalk.yellow(
+                "💡 Tip: Use 'inst undo' to revert the whole import."
+              )
+            );
+          }
+        } finally {
+          stopLoadingMessage();
+        }
+      }),
+    })
     .command({
       command: "help [command]",
       describe: "Display help information.",
@@ -2071,6 +7761,22 @@ async function main() {
         displayCustomHelp(argv.command);
       },
     })
+    .option("data-dir", {
+      describe: "Directory holding instructions, history and settings",
+      type: "string",
+      global: true,
+      requiresArg: true,
+    })
+    .option("global", {
+      describe: "Use the global store even inside a project",
+      type: "boolean",
+      global: true,
+    })
+    .option("json", {
+      describe: "Print a single JSON document instead of formatted text",
+      type: "boolean",
+      global: true,
+    })
     .strict()
     .help(false) // Disable default help
     .version("1.0.0")
@@ -2083,6 +7789,11 @@ async function main() {
 // --- Run the main application ---
 main().catch((err) => {
   stopLoadingMessage();
+  emitJsonError(
+    readRawCommand(hideBin(process.argv)),
+    "UNEXPECTED",
+    err.message
+  );
   console.error(chalk.red("\nAn unexpected error occurred:"), err.message);
   process.exit(1);
 });